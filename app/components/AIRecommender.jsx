@@ -1,10 +1,21 @@
 import {useState, useEffect} from 'react';
+import {useAnalytics} from '@shopify/hydrogen';
 import {ProductItem} from '~/components/ProductItem';
+import {getRecentlyViewedProductIds} from '~/lib/recentlyViewed';
 
 /**
- * AI-powered product recommender component using Gemini API
+ * AI-powered product recommender component using Gemini API.
+ * Pass `initialRecommendations` (recommendations resolved by a loader, or
+ * `null` when the AI call failed) to render without a client-side fetch.
+ * Each card is flagged as an AI pick or a fallback pick and shows the reason
+ * the AI gave for it; with `reasonsToggle` the reasons are hidden until the
+ * shopper asks for them. With `personalize`, the shopper's recently viewed
+ * products (see `RecentlyViewedTracker`) are sent along, while tracking
+ * consent is given, and replace the loader's picks once the personalized
+ * ones arrive.
  * @param {{
  *   currentProduct?: {
+ *     id?: string;
  *     title?: string;
  *     description?: string;
  *     handle?: string;
@@ -29,32 +40,62 @@ import {ProductItem} from '~/components/ProductItem';
  *     };
  *     vendor?: string;
  *   }>;
+ *   initialRecommendations?: AIRecommendation[] | null;
  *   userQuery?: string;
  *   title?: string;
  *   fallbackProducts?: Array<any>;
+ *   reasonsToggle?: boolean;
+ *   personalize?: boolean;
  * }}
  */
 export function AIRecommender({
   currentProduct,
   availableProducts = [],
+  initialRecommendations,
   userQuery,
   title = 'AI Recommendations for You',
   fallbackProducts = [],
+  reasonsToggle = false,
+  personalize = false,
 }) {
-  const [recommendedProducts, setRecommendedProducts] = useState([]);
-  const [loading, setLoading] = useState(true);
+  // Recommendations resolved by the route loader are rendered during SSR,
+  // the client-side fetch is only used when there are none or on refresh
+  const hasInitialRecommendations = initialRecommendations !== undefined;
+  const [recommendedProducts, setRecommendedProducts] = useState(() =>
+    hasInitialRecommendations
+      ? mapRecommendedProducts(
+          initialRecommendations ?? [],
+          availableProducts,
+          fallbackProducts,
+        )
+      : [],
+  );
+  const [loading, setLoading] = useState(!hasInitialRecommendations);
   const [error, setError] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+  const [reasonsVisible, setReasonsVisible] = useState(!reasonsToggle);
+  const {canTrack} = useAnalytics();
 
   useEffect(() => {
+    // The browsing history only exists in the browser, so loader picks are
+    // re-requested with it after hydration
+    const recentlyViewedIds =
+      personalize && canTrack() ? getRecentlyViewedProductIds() : [];
+    const isPersonalizing = hasInitialRecommendations && refreshCount === 0;
+    if (isPersonalizing && recentlyViewedIds.length === 0) return;
+
     async function fetchRecommendations() {
       if (availableProducts.length === 0) {
-        setRecommendedProducts(fallbackProducts.slice(0, 6));
+        setRecommendedProducts(
+          mapRecommendedProducts([], availableProducts, fallbackProducts),
+        );
         setLoading(false);
         return;
       }
 
       try {
-        setLoading(true);
+        // Keep showing the loader's picks while personalizing them
+        if (!isPersonalizing) setLoading(true);
         setError(null);
 
         // Use relative path - React Router will handle locale prefix automatically
@@ -64,58 +105,48 @@ export function AIRecommender({
           headers: {
             'Content-Type': 'application/json',
           },
+          // Only send product references, the server resolves the product
+          // data from the catalog before building the prompt
           body: JSON.stringify({
-            currentProductTitle: currentProduct?.title,
-            currentProductDescription: currentProduct?.description,
-            availableProducts: availableProducts.map((product) => ({
-              id: product.id,
-              title: product.title,
-              handle: product.handle,
-              description: product.description,
-              priceRange: product.priceRange,
-              vendor: product.vendor,
-            })),
+            currentProductId: currentProduct?.id,
+            productIds: availableProducts.map((product) => product.id),
             userQuery,
+            recentlyViewedIds,
+            // The refresh button asks for new picks, not the cached ones
+            refresh: refreshCount > 0,
           }),
         });
 
+        // Rate limited: quietly show the fallback products instead
+        if (response.status === 429) {
+          if (isPersonalizing) return;
+          setRecommendedProducts(
+            mapRecommendedProducts([], availableProducts, fallbackProducts),
+          );
+          return;
+        }
+
         if (!response.ok) {
           throw new Error('Failed to fetch recommendations');
         }
 
         const data = await response.json();
-        const recommendedHandles = data.recommendations || [];
-
-        // Map handles to actual product objects
-        const recommended = recommendedHandles
-          .map((handle) =>
-            availableProducts.find(
-              (p) =>
-                p.handle === handle ||
-                p.handle === handle.replace(/-/g, '') ||
-                p.handle === handle.replace(/\s+/g, '-').toLowerCase(),
-            ),
-          )
-          .filter(Boolean)
-          .slice(0, 6);
-
-        // If we got fewer recommendations, fill with fallback
-        if (recommended.length < 4 && fallbackProducts.length > 0) {
-          const usedHandles = new Set(recommended.map((p) => p.handle));
-          const additional = fallbackProducts
-            .filter((p) => !usedHandles.has(p.handle))
-            .slice(0, 6 - recommended.length);
-          recommended.push(...additional);
-        }
 
         setRecommendedProducts(
-          recommended.length > 0 ? recommended : fallbackProducts.slice(0, 6),
+          mapRecommendedProducts(
+            data.recommendations || [],
+            availableProducts,
+            fallbackProducts,
+          ),
         );
       } catch (err) {
         console.error('Error fetching AI recommendations:', err);
+        if (isPersonalizing) return;
         setError(err.message);
         // Fallback to default products
-        setRecommendedProducts(fallbackProducts.slice(0, 6));
+        setRecommendedProducts(
+          mapRecommendedProducts([], availableProducts, fallbackProducts),
+        );
       } finally {
         setLoading(false);
       }
@@ -123,11 +154,14 @@ export function AIRecommender({
 
     fetchRecommendations();
   }, [
-    currentProduct?.title,
-    currentProduct?.description,
+    currentProduct?.id,
     availableProducts,
     userQuery,
     fallbackProducts,
+    hasInitialRecommendations,
+    refreshCount,
+    personalize,
+    canTrack,
   ]);
 
   if (loading) {
@@ -146,15 +180,8 @@ export function AIRecommender({
       <div className="ai-recommender">
         <h2 className="ai-recommender-title">{title}</h2>
         <div className="ai-recommender-error">
-          <p>Unable to load AI recommendations. Showing popular products instead.</p>
+          <p>Unable to load AI recommendations.</p>
         </div>
-        {fallbackProducts.length > 0 && (
-          <div className="ai-recommender-grid">
-            {fallbackProducts.slice(0, 6).map((product) => (
-              <ProductItem key={product.id} product={product} />
-            ))}
-          </div>
-        )}
       </div>
     );
   }
@@ -163,22 +190,117 @@ export function AIRecommender({
     return null;
   }
 
+  const hasAIPicks = recommendedProducts.some((pick) => pick.source === 'ai');
+  const hasReasons = recommendedProducts.some((pick) => pick.reason);
+
   return (
     <div className="ai-recommender">
       <div className="ai-recommender-header">
         <h2 className="ai-recommender-title">{title}</h2>
-        {error && (
+        <button
+          className="ai-recommender-refresh"
+          onClick={() => setRefreshCount((count) => count + 1)}
+          type="button"
+        >
+          Refresh recommendations
+        </button>
+        {reasonsToggle && hasReasons && (
+          <button
+            aria-expanded={reasonsVisible}
+            className="ai-recommender-refresh"
+            onClick={() => setReasonsVisible((visible) => !visible)}
+            type="button"
+          >
+            {reasonsVisible ? 'Hide why we picked these' : 'Why these picks?'}
+          </button>
+        )}
+        {error && !hasAIPicks && (
           <p className="ai-recommender-subtitle">
-            (Some recommendations may be AI-powered)
+            AI recommendations are unavailable, showing popular products
+            instead.
           </p>
         )}
       </div>
       <div className="ai-recommender-grid">
-        {recommendedProducts.map((product) => (
-          <ProductItem key={product.id} product={product} />
+        {recommendedProducts.map((pick) => (
+          <RecommendedProductCard
+            key={pick.product.id}
+            pick={pick}
+            showReason={reasonsVisible}
+          />
         ))}
       </div>
     </div>
   );
 }
 
+/**
+ * @param {{pick: RecommendedPick; showReason: boolean}}
+ */
+function RecommendedProductCard({pick, showReason}) {
+  const isAIPick = pick.source === 'ai';
+
+  return (
+    <div
+      className="ai-recommender-item"
+      data-recommendation-source={pick.source}
+    >
+      <ProductItem product={pick.product} />
+      <p className={`ai-recommender-badge ai-recommender-badge-${pick.source}`}>
+        {isAIPick ? 'AI pick' : 'Popular pick'}
+      </p>
+      {showReason && pick.reason && (
+        <p className="ai-recommender-reason">{pick.reason}</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Maps recommendations to product objects, filling up with fallback products
+ * when the AI returned too few usable handles. Handles are validated on the
+ * server, so only exact matches are kept.
+ * @param {AIRecommendation[]} recommendations
+ * @param {Array<{handle: string}>} availableProducts
+ * @param {Array<{handle: string}>} fallbackProducts
+ * @returns {RecommendedPick[]}
+ */
+function mapRecommendedProducts(
+  recommendations,
+  availableProducts,
+  fallbackProducts,
+) {
+  const productsByHandle = new Map(
+    availableProducts.map((product) => [product.handle, product]),
+  );
+  const recommended = recommendations
+    .map(({handle, reason}) => ({
+      product: productsByHandle.get(handle),
+      reason,
+      source: 'ai',
+    }))
+    .filter((pick) => pick.product)
+    .slice(0, 6);
+
+  // If we got fewer recommendations, fill with fallback
+  if (recommended.length < 4 && fallbackProducts.length > 0) {
+    const usedHandles = new Set(recommended.map((pick) => pick.product.handle));
+    const additional = fallbackProducts
+      .filter((p) => !usedHandles.has(p.handle))
+      .slice(0, 6 - recommended.length)
+      .map((product) => ({product, reason: '', source: 'fallback'}));
+    recommended.push(...additional);
+  }
+
+  return recommended;
+}
+
+/**
+ * @typedef {{
+ *   product: any;
+ *   reason: string;
+ *   source: 'ai' | 'fallback';
+ * }} RecommendedPick
+ */
+
+/** @typedef {import('~/lib/gemini').AIRecommendation} AIRecommendation */
@@ -5,6 +5,7 @@ import {CartForm} from '@shopify/hydrogen';
  *   analytics?: unknown;
  *   children: React.ReactNode;
  *   disabled?: boolean;
+ *   fetcherKey?: string;
  *   lines: Array<OptimisticCartLineInput>;
  *   onClick?: () => void;
  * }}
@@ -13,11 +14,17 @@ export function AddToCartButton({
   analytics,
   children,
   disabled,
+  fetcherKey,
   lines,
   onClick,
 }) {
   return (
-    <CartForm route="/cart" inputs={{lines}} action={CartForm.ACTIONS.LinesAdd}>
+    <CartForm
+      fetcherKey={fetcherKey}
+      route="/cart"
+      inputs={{lines}}
+      action={CartForm.ACTIONS.LinesAdd}
+    >
       {(fetcher) => (
         <>
           <input
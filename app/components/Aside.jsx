@@ -82,7 +82,7 @@ export function useAside() {
   return aside;
 }
 
-/** @typedef {'search' | 'cart' | 'mobile' | 'closed'} AsideType */
+/** @typedef {'search' | 'cart' | 'mobile' | 'assistant' | 'closed'} AsideType */
 /**
  * @typedef {{
  *   type: AsideType;
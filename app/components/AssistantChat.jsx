@@ -0,0 +1,170 @@
+import {useEffect, useRef} from 'react';
+import {Link, useFetcher} from 'react-router';
+import {Image, Money} from '@shopify/hydrogen';
+import {AddToCartButton} from '~/components/AddToCartButton';
+import {useVariantUrl} from '~/lib/variants';
+
+export const ASSISTANT_ENDPOINT = '/assistant';
+
+/**
+ * Conversational shopping assistant. Messages are posted to the `/assistant`
+ * route, which keeps the history in the session and only suggests products
+ * fetched from the Storefront API.
+ * @param {{
+ *   initialMessages?: AssistantMessage[];
+ * }}
+ */
+export function AssistantChat({initialMessages}) {
+  /** @type {Fetcher<AssistantResponse>} */
+  const fetcher = useFetcher({key: 'assistant'});
+  const formRef = useRef(null);
+  const historyRequested = useRef(false);
+  const isSubmitting = fetcher.state === 'submitting';
+
+  // Load the stored conversation when rendered outside the /assistant route
+  useEffect(() => {
+    if (initialMessages || historyRequested.current) return;
+    historyRequested.current = true;
+    void fetcher.load(ASSISTANT_ENDPOINT);
+  }, [initialMessages, fetcher]);
+
+  // Clear the input once a message has been sent
+  useEffect(() => {
+    if (isSubmitting) {
+      formRef.current?.reset();
+    }
+  }, [isSubmitting]);
+
+  const messages = fetcher.data?.messages ?? initialMessages ?? [];
+  const pendingMessage =
+    fetcher.formData?.get('intent') === 'message'
+      ? String(fetcher.formData.get('message') ?? '')
+      : null;
+
+  return (
+    <div className="assistant-chat">
+      <ul className="assistant-messages">
+        {messages.length === 0 && !pendingMessage && (
+          <li className="assistant-message assistant-message-assistant">
+            <p>
+              Tell me what you&rsquo;re looking for, e.g. &ldquo;a gift for a
+              runner&rdquo;.
+            </p>
+          </li>
+        )}
+        {messages.map((message, index) => (
+          <AssistantChatMessage
+            // eslint-disable-next-line react/no-array-index-key
+            key={index}
+            message={message}
+          />
+        ))}
+        {pendingMessage && (
+          <>
+            <AssistantChatMessage
+              message={{role: 'user', content: pendingMessage, products: []}}
+            />
+            <li className="assistant-message assistant-message-assistant">
+              <p>Thinking…</p>
+            </li>
+          </>
+        )}
+      </ul>
+      {fetcher.data?.error && (
+        <p className="assistant-error" role="alert">
+          {fetcher.data.error}
+        </p>
+      )}
+      <fetcher.Form
+        action={ASSISTANT_ENDPOINT}
+        className="assistant-form"
+        method="post"
+        ref={formRef}
+      >
+        <input type="hidden" name="intent" value="message" />
+        <input
+          aria-label="Message"
+          autoComplete="off"
+          name="message"
+          placeholder="Ask for a product…"
+          required
+          type="text"
+        />
+        <button disabled={isSubmitting} type="submit">
+          Send
+        </button>
+      </fetcher.Form>
+      {messages.length > 0 && (
+        <fetcher.Form action={ASSISTANT_ENDPOINT} method="post">
+          <input type="hidden" name="intent" value="clear" />
+          <button className="assistant-clear" type="submit">
+            Start over
+          </button>
+        </fetcher.Form>
+      )}
+    </div>
+  );
+}
+
+/**
+ * @param {{message: AssistantMessage}}
+ */
+function AssistantChatMessage({message}) {
+  return (
+    <li className={`assistant-message assistant-message-${message.role}`}>
+      <p>{message.content}</p>
+      {message.products.length > 0 && (
+        <div className="assistant-products">
+          {message.products.map((product) => (
+            <AssistantProductCard key={product.id} product={product} />
+          ))}
+        </div>
+      )}
+    </li>
+  );
+}
+
+/**
+ * @param {{product: AssistantProductFragment}}
+ */
+function AssistantProductCard({product}) {
+  const variantUrl = useVariantUrl(product.handle);
+  const variant = product.selectedOrFirstAvailableVariant;
+  const image = product.featuredImage;
+
+  return (
+    <div className="assistant-product">
+      <Link prefetch="intent" to={variantUrl}>
+        {image && (
+          <Image
+            alt={image.altText || product.title}
+            aspectRatio="1/1"
+            data={image}
+            sizes="120px"
+          />
+        )}
+        <h5>{product.title}</h5>
+        <small>
+          <Money data={product.priceRange.minVariantPrice} />
+        </small>
+      </Link>
+      <AddToCartButton
+        disabled={!variant?.availableForSale}
+        lines={variant ? [{merchandiseId: variant.id, quantity: 1}] : []}
+      >
+        {variant?.availableForSale ? 'Add to cart' : 'Sold out'}
+      </AddToCartButton>
+    </div>
+  );
+}
+
+/**
+ * @typedef {{
+ *   error?: string | null;
+ *   messages: AssistantMessage[];
+ * }} AssistantResponse
+ */
+
+/** @template T @typedef {import('react-router').Fetcher<T>} Fetcher */
+/** @typedef {import('~/routes/($locale).assistant').AssistantMessage} AssistantMessage */
+/** @typedef {import('storefrontapi.generated').AssistantProductFragment} AssistantProductFragment */
@@ -0,0 +1,631 @@
+import {useState} from 'react';
+import {useFetcher} from 'react-router';
+import {getProductOptions, Image, Money, RichText} from '@shopify/hydrogen';
+import {AddToCartButton} from '~/components/AddToCartButton';
+import {useAside} from '~/components/Aside';
+import {ProductOptionSwatch} from '~/components/ProductForm';
+import {
+  describeBundleRule,
+  getBundleSelection,
+  hasBundlePrice,
+  priceBundle,
+  toMoney,
+} from '~/lib/bundlePricing';
+import {BUNDLE_AVAILABILITY, getBundlePurchase} from '~/lib/bundles';
+
+/**
+ * Bundle detail layout: overview, pricing, add-to-cart and the included
+ * products. Build-your-own bundles (see `getBundleSelection`) let the shopper
+ * fill a set of slots from the product list; the price is recalculated as
+ * items are picked and only the picked items are added to the cart.
+ * Bundles sold whole follow their `availability` behaviour when products are
+ * sold out (see `BUNDLE_AVAILABILITY`), and list the status of every item.
+ * Shoppers choose the variant of each product; prices, availability and the
+ * cart lines follow the chosen variants.
+ * `preview` renders a bundle that doesn't exist as a metaobject yet, so it
+ * can't be added to the cart. The cart doesn't reprice bundle lines, it shows
+ * the savings of the bundle's discount code (see `syncBundleDiscounts`).
+ * @param {{
+ *   bundle: BundleDetailsBundle;
+ *   products: BundleDetailsProduct[];
+ *   substitutes?: BundleDetailsProduct[];
+ *   availability?: string;
+ *   rule: BundleRule;
+ *   preview?: boolean;
+ * }}
+ */
+export function BundleDetails({
+  bundle,
+  products,
+  substitutes = [],
+  availability = BUNDLE_AVAILABILITY.BLOCK,
+  rule,
+  preview = false,
+}) {
+  const {open} = useAside();
+  const selection = getBundleSelection(rule, products.length);
+  const [pickedIds, setPickedIds] = useState(/** @type {string[]} */ ([]));
+  const [chosenVariants, setChosenVariants] = useState(
+    /** @type {Record<string, BundleDetailsVariant>} */ ({}),
+  );
+  // The cart action re-checks availability and reports dropped items
+  const cartFetcherKey = `bundle-${bundle.id}`;
+  const cartFetcher = useFetcher({key: cartFetcherKey});
+  const cartWarnings = (cartFetcher.data?.warnings ?? []).filter(
+    (warning) => warning.target === bundle.id,
+  );
+
+  /**
+   * @param {BundleDetailsProduct} product
+   */
+  const getVariant = (product) =>
+    chosenVariants[product.id] ?? product.firstVariant;
+  /**
+   * @param {BundleDetailsProduct} product
+   */
+  const getUnitPrice = (product) =>
+    parseFloat(getPrice(product, getVariant(product)).amount);
+
+  const purchase = selection.isBuilder
+    ? null
+    : getBundlePurchase({
+        rule,
+        products,
+        substitutes,
+        availability,
+        isAvailable: (product) =>
+          Boolean(product.firstVariant?.availableForSale),
+        getPrice: getUnitPrice,
+      });
+  const chosenProducts =
+    purchase?.products ??
+    pickedIds
+      .map((id) => products.find((product) => product.id === id))
+      .filter(Boolean);
+  const pricing =
+    purchase?.pricing ??
+    priceBundle(
+      rule,
+      chosenProducts.map((product) => ({price: getUnitPrice(product)})),
+    );
+
+  const currencyCode = products[0]?.priceRange.minVariantPrice.currencyCode;
+  const description = describeBundleRule(rule);
+  const cartLines = chosenProducts
+    .map((product) => {
+      const variant = getVariant(product);
+      if (!variant?.id || !variant.availableForSale) return null;
+      return {
+        merchandiseId: variant.id,
+        quantity: 1,
+        attributes: [
+          {key: 'bundleId', value: bundle.id},
+          {key: 'bundleHandle', value: bundle.handle},
+          {key: 'bundleTitle', value: bundle.title},
+        ],
+      };
+    })
+    .filter(Boolean);
+  // Every chosen item must be available in its chosen variant
+  const isSelectionComplete =
+    cartLines.length === chosenProducts.length &&
+    (purchase
+      ? purchase.isPurchasable
+      : cartLines.length >= selection.min && cartLines.length <= selection.max);
+  const statuses = new Set(purchase?.items.map(({status}) => status));
+
+  /**
+   * @param {string} productId
+   */
+  function togglePick(productId) {
+    setPickedIds((ids) => {
+      if (ids.includes(productId)) {
+        return ids.filter((id) => id !== productId);
+      }
+      return ids.length < selection.max ? [...ids, productId] : ids;
+    });
+  }
+
+  /**
+   * @param {BundleDetailsProduct} product
+   * @param {BundleDetailsVariant} variant
+   */
+  function chooseVariant(product, variant) {
+    setChosenVariants((variants) => ({...variants, [product.id]: variant}));
+  }
+
+  return (
+    <div className="px-6 py-10 mx-auto max-w-5xl space-y-8">
+      <div className="grid grid-cols-1 gap-10 md:grid-cols-2">
+        {/* Left: image and overview */}
+        <div className="space-y-4">
+          {bundle.image?.url ? (
+            <Image
+              alt={bundle.image.altText || bundle.title}
+              className="object-cover w-full rounded-xl"
+              data={bundle.image}
+              sizes="(min-width: 768px) 50vw, 100vw"
+            />
+          ) : (
+            <div className="w-full h-64 rounded-xl bg-neutral-100" />
+          )}
+
+          <h1 className="mt-4 text-3xl font-semibold">{bundle.title}</h1>
+
+          {bundle.description && (
+            <RichText
+              className="mt-2 space-y-2 text-sm text-neutral-600"
+              data={bundle.description.json}
+            />
+          )}
+        </div>
+
+        {/* Right: pricing and CTA */}
+        <div className="space-y-4 p-4 border rounded-xl bg-neutral-50">
+          {selection.isBuilder && (
+            <BundleSlots
+              max={selection.max}
+              min={selection.min}
+              onRemove={togglePick}
+              picked={chosenProducts}
+            />
+          )}
+
+          {currencyCode && (
+            <>
+              <p className="text-sm text-neutral-500">
+                Items total:{' '}
+                <Money
+                  as="span"
+                  data={toMoney(pricing.subtotal, currencyCode)}
+                />
+              </p>
+
+              {hasBundlePrice(rule) && (
+                <h2 className="text-2xl font-semibold">
+                  Bundle price:{' '}
+                  <Money
+                    as="span"
+                    data={toMoney(pricing.bundlePrice, currencyCode)}
+                  />
+                </h2>
+              )}
+            </>
+          )}
+
+          {rule.type && description.price === null && (
+            <p className="text-sm text-neutral-700">{description.headline}</p>
+          )}
+
+          {pricing.savings > 0 && currencyCode && (
+            <p className="mt-1 text-sm text-emerald-600">
+              You save{' '}
+              {pricing.savingsPercentage !== null ? (
+                `${pricing.savingsPercentage}%`
+              ) : (
+                <Money
+                  as="span"
+                  data={toMoney(pricing.savings, currencyCode)}
+                />
+              )}
+            </p>
+          )}
+
+          {preview ? (
+            <p className="text-xs text-neutral-500">
+              Preview only, import the bundle to sell it.
+            </p>
+          ) : (
+            <AddToCartButton
+              analytics={{
+                bundleId: bundle.id,
+                bundleHandle: bundle.handle,
+                bundleTitle: bundle.title,
+              }}
+              disabled={!cartLines.length || !isSelectionComplete}
+              fetcherKey={cartFetcherKey}
+              lines={cartLines}
+              onClick={() => open('cart')}
+            >
+              {getAddToCartLabel(selection, cartLines.length)}
+            </AddToCartButton>
+          )}
+
+          {statuses.has('sold_out') && (
+            <p className="mt-2 text-xs text-red-600">
+              Some items are sold out, so this bundle can&rsquo;t be bought
+              right now.
+            </p>
+          )}
+          {!statuses.has('sold_out') && statuses.has('omitted') && (
+            <p className="mt-2 text-xs text-amber-600">
+              {purchase.rule.type !== null ? (
+                <>
+                  Sold-out items are left out, the discount applies to the rest.
+                </>
+              ) : (
+                <>
+                  Sold-out items are left out, so the bundle discount
+                  doesn&rsquo;t apply.
+                </>
+              )}
+            </p>
+          )}
+          {!statuses.has('sold_out') && statuses.has('substituted') && (
+            <p className="mt-2 text-xs text-amber-600">
+              Sold-out items are replaced with similar products.
+            </p>
+          )}
+          {cartWarnings.map((warning) => (
+            <p className="mt-2 text-xs text-amber-600" key={warning.message}>
+              {warning.message}
+            </p>
+          ))}
+        </div>
+      </div>
+
+      {/* Products in this bundle */}
+      <section className="mt-10 space-y-4">
+        <h3 className="text-lg font-semibold">
+          {selection.isBuilder ? 'Choose your items' : "What's included"}
+        </h3>
+        <div className="space-y-3">
+          {purchase
+            ? purchase.items.map(({product, status, substitute}) => (
+                <div key={product.id}>
+                  <BundleProductRow
+                    onSelectVariant={(variant) =>
+                      chooseVariant(product, variant)
+                    }
+                    product={product}
+                    status={getItemStatus(
+                      status,
+                      getVariant(product),
+                      substitute,
+                    )}
+                    variant={getVariant(product)}
+                  />
+                  {substitute && (
+                    <div className="pl-8">
+                      <BundleProductRow
+                        onSelectVariant={(variant) =>
+                          chooseVariant(substitute, variant)
+                        }
+                        product={substitute}
+                        status={getItemStatus(
+                          'available',
+                          getVariant(substitute),
+                          null,
+                          `Substitute for ${product.title}`,
+                        )}
+                        variant={getVariant(substitute)}
+                      />
+                    </div>
+                  )}
+                </div>
+              ))
+            : products.map((product) => {
+                const variant = getVariant(product);
+
+                return (
+                  <BundleProductRow
+                    key={product.id}
+                    onSelectVariant={(selected) =>
+                      chooseVariant(product, selected)
+                    }
+                    product={product}
+                    status={getItemStatus(
+                      variant?.availableForSale ? 'available' : 'sold_out',
+                      variant,
+                      null,
+                    )}
+                    variant={variant}
+                  >
+                    <BundlePickButton
+                      isAvailable={Boolean(variant?.availableForSale)}
+                      isFull={pickedIds.length >= selection.max}
+                      isPicked={pickedIds.includes(product.id)}
+                      onToggle={() => togglePick(product.id)}
+                    />
+                  </BundleProductRow>
+                );
+              })}
+        </div>
+      </section>
+    </div>
+  );
+}
+
+/**
+ * One product of the bundle with its price, availability status and option
+ * pickers. `children` renders at the end of the row.
+ * @param {{
+ *   product: BundleDetailsProduct;
+ *   variant: BundleDetailsVariant | null;
+ *   status: BundleItemStatus;
+ *   onSelectVariant: (variant: BundleDetailsVariant) => void;
+ *   children?: React.ReactNode;
+ * }}
+ */
+function BundleProductRow({
+  product,
+  variant,
+  status,
+  onSelectVariant,
+  children,
+}) {
+  const image = variant?.image ?? product.featuredImage;
+
+  return (
+    <div className="flex items-center gap-4 pb-3 border-b">
+      {image?.url ? (
+        <img
+          src={image.url}
+          alt={image.altText || product.title}
+          className="object-cover w-16 h-16 rounded-md"
+        />
+      ) : (
+        <div className="w-16 h-16 rounded-md bg-neutral-100" />
+      )}
+
+      <div className="flex-1 space-y-2">
+        <p className="text-sm font-medium">{product.title}</p>
+        <p className="text-xs text-neutral-500">
+          <Money as="span" data={getPrice(product, variant)} />
+          <span className={STATUS_CLASSES[status.tone]}> · {status.label}</span>
+        </p>
+        {variant && product.options && (
+          <BundleProductOptions
+            onSelect={onSelectVariant}
+            product={product}
+            selectedVariant={variant}
+          />
+        )}
+      </div>
+
+      {children}
+    </div>
+  );
+}
+
+const STATUS_CLASSES = {
+  positive: 'text-emerald-600',
+  warning: 'text-amber-600',
+  critical: 'text-red-600',
+};
+
+/**
+ * Shopper-facing status of a bundle item.
+ * @param {BundleItem<BundleDetailsProduct>['status']} status
+ * @param {BundleDetailsVariant | null} variant Chosen variant
+ * @param {BundleDetailsProduct | null} substitute
+ * @param {string} [availableLabel]
+ * @returns {BundleItemStatus}
+ */
+function getItemStatus(
+  status,
+  variant,
+  substitute,
+  availableLabel = 'In stock',
+) {
+  switch (status) {
+    case 'substituted':
+      return {
+        tone: 'warning',
+        label: `Sold out, replaced by ${substitute?.title}`,
+      };
+    case 'omitted':
+      return {
+        tone: 'warning',
+        label: 'Sold out, left out of the bundle',
+      };
+    case 'sold_out':
+      return {tone: 'critical', label: 'Sold out'};
+    default:
+      return variant?.availableForSale
+        ? {tone: 'positive', label: availableLabel}
+        : {tone: 'warning', label: 'Selected option sold out'};
+  }
+}
+
+/**
+ * One slot per item the shopper may pick; the first `min` slots are required.
+ * @param {{
+ *   picked: BundleDetailsProduct[];
+ *   min: number;
+ *   max: number;
+ *   onRemove: (productId: string) => void;
+ * }}
+ */
+function BundleSlots({picked, min, max, onRemove}) {
+  return (
+    <div className="space-y-2">
+      <p className="text-sm font-medium">
+        {min === max ? `Pick ${max} items` : `Pick ${min} to ${max} items`} (
+        {picked.length} of {max} chosen)
+      </p>
+      <ol className="grid grid-cols-4 gap-2">
+        {Array.from({length: max}, (_, index) => {
+          const product = picked[index];
+
+          return (
+            <li
+              key={product?.id ?? `slot-${index}`}
+              className={`flex h-16 items-center justify-center rounded-md border text-xs ${
+                product ? 'bg-white' : 'border-dashed text-neutral-400'
+              }`}
+            >
+              {product ? (
+                <button
+                  aria-label={`Remove ${product.title}`}
+                  className="h-full w-full"
+                  onClick={() => onRemove(product.id)}
+                  type="button"
+                >
+                  {product.featuredImage?.url ? (
+                    <img
+                      src={product.featuredImage.url}
+                      alt={product.featuredImage.altText || product.title}
+                      className="object-cover w-full h-full rounded-md"
+                    />
+                  ) : (
+                    product.title
+                  )}
+                </button>
+              ) : index < min ? (
+                'Required'
+              ) : (
+                'Optional'
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+/**
+ * Option pickers of one bundle product, like `ProductForm` but selecting the
+ * variant in place: the bundle page has no URL state per product.
+ * @param {{
+ *   product: BundleDetailsProduct;
+ *   selectedVariant: BundleDetailsVariant;
+ *   onSelect: (variant: BundleDetailsVariant) => void;
+ * }}
+ */
+function BundleProductOptions({product, selectedVariant, onSelect}) {
+  const productOptions = getProductOptions({
+    ...product,
+    selectedOrFirstAvailableVariant: selectedVariant,
+    adjacentVariants: product.variants?.nodes ?? [],
+  });
+
+  return productOptions.map((option) => {
+    // If there is only a single value in the option values, don't display the option
+    if (option.optionValues.length === 1) return null;
+
+    return (
+      <div className="product-options" key={option.name}>
+        <p className="text-xs font-medium">{option.name}</p>
+        <div className="product-options-grid">
+          {option.optionValues.map(
+            ({name, variant, selected, available, exists, swatch}) => (
+              <button
+                className={`product-options-item${
+                  exists && !selected ? ' link' : ''
+                }`}
+                disabled={!exists}
+                key={option.name + name}
+                onClick={() => {
+                  if (!selected && variant) onSelect(variant);
+                }}
+                style={{
+                  border: selected
+                    ? '1px solid black'
+                    : '1px solid transparent',
+                  opacity: available ? 1 : 0.3,
+                }}
+                type="button"
+              >
+                <ProductOptionSwatch name={name} swatch={swatch} />
+              </button>
+            ),
+          )}
+        </div>
+      </div>
+    );
+  });
+}
+
+/**
+ * @param {{
+ *   isAvailable: boolean;
+ *   isPicked: boolean;
+ *   isFull: boolean;
+ *   onToggle: () => void;
+ * }}
+ */
+function BundlePickButton({isAvailable, isPicked, isFull, onToggle}) {
+  return (
+    <button
+      aria-pressed={isPicked}
+      className="rounded-md border px-3 py-1 text-sm"
+      disabled={!isPicked && (!isAvailable || isFull)}
+      onClick={onToggle}
+      type="button"
+    >
+      {!isAvailable ? 'Sold out' : isPicked ? 'Remove' : 'Add to bundle'}
+    </button>
+  );
+}
+
+/**
+ * The chosen variant's price, or the product's lowest price when the product
+ * has no variant data.
+ * @param {BundleDetailsProduct} product
+ * @param {BundleDetailsVariant | null} variant
+ */
+function getPrice(product, variant) {
+  return variant?.price ?? product.priceRange.minVariantPrice;
+}
+
+/**
+ * @param {{isBuilder: boolean; min: number}} selection
+ * @param {number} lineCount
+ */
+function getAddToCartLabel(selection, lineCount) {
+  if (selection.isBuilder && lineCount < selection.min) {
+    return `Pick ${selection.min - lineCount} more`;
+  }
+  return lineCount ? 'Add Bundle to Cart' : 'Bundle unavailable';
+}
+
+/**
+ * @typedef {Object} BundleItemStatus
+ * @property {'positive' | 'warning' | 'critical'} tone
+ * @property {string} label
+ */
+/**
+ * @typedef {{
+ *   id: string;
+ *   handle: string;
+ *   title: string;
+ *   description?: RichTextValue | null;
+ *   image?: MetaobjectImage | null;
+ * }} BundleDetailsBundle
+ */
+/**
+ * Products with `options`, encoded variant data and `variants` get option
+ * pickers, see the `BundleProduct` fragment.
+ * @typedef {{
+ *   id: string;
+ *   handle: string;
+ *   title: string;
+ *   featuredImage?: {url: string; altText?: string | null} | null;
+ *   firstVariant: BundleDetailsVariant | null;
+ *   priceRange: {minVariantPrice: MoneyV2};
+ *   options?: BundleProductFragment['options'];
+ *   encodedVariantExistence?: string | null;
+ *   encodedVariantAvailability?: string | null;
+ *   variants?: {nodes: BundleDetailsVariant[]};
+ * }} BundleDetailsProduct
+ */
+/**
+ * @typedef {{
+ *   id: string;
+ *   availableForSale: boolean;
+ *   price?: MoneyV2;
+ *   image?: {url: string; altText?: string | null} | null;
+ * }} BundleDetailsVariant
+ */
+/** @typedef {{amount: string; currencyCode: string}} MoneyV2 */
+
+/** @typedef {import('~/lib/bundlePricing').BundleRule} BundleRule */
+/** @typedef {import('~/lib/metaobjects').RichTextValue} RichTextValue */
+/** @typedef {import('~/lib/metaobjects').MetaobjectImage} MetaobjectImage */
+/**
+ * @template {{id: string}} Product
+ * @typedef {import('~/lib/bundles').BundleItem<Product>} BundleItem
+ */
+/** @typedef {import('storefrontapi.generated').BundleProductFragment} BundleProductFragment */
@@ -1,4 +1,6 @@
-import {CartForm, Image} from '@shopify/hydrogen';
+import {useId, useState} from 'react';
+import {CartForm, Image, Money} from '@shopify/hydrogen';
+import {toMoney} from '~/lib/bundlePricing';
 import {useVariantUrl} from '~/lib/variants';
 import {Link} from 'react-router';
 import {ProductPrice} from './ProductPrice';
@@ -7,12 +9,15 @@ import {useAside} from './Aside';
 /**
  * A single line item in the cart. It displays the product image, title, price.
  * It also provides controls to update the quantity or remove the line item.
+ * Lines of a bundle get `bundleLines`: their quantity controls update every
+ * line of the bundle, and they are removed with the bundle.
  * @param {{
  *   layout: CartLayout;
  *   line: CartLine;
+ *   bundleLines?: CartLine[];
  * }}
  */
-export function CartLineItem({layout, line}) {
+export function CartLineItem({layout, line, bundleLines}) {
   const {id, merchandise} = line;
   const {product, title, image, selectedOptions} = merchandise;
   const lineItemUrl = useVariantUrl(product.handle, selectedOptions);
@@ -55,28 +60,102 @@ export function CartLineItem({layout, line}) {
             </li>
           ))}
         </ul>
-        <CartLineQuantity line={line} />
+        <CartLineQuantity bundleLines={bundleLines} line={line} />
       </div>
     </li>
   );
 }
 
+/**
+ * The lines of a bundle under a collapsible header with the bundle title,
+ * the combined bundle price, the savings once checkout discounts the bundle
+ * (see `groupCartLines`), and one control removing the whole bundle.
+ * @param {{
+ *   layout: CartLayout;
+ *   bundle: CartBundleGroup<CartLine>;
+ * }}
+ */
+export function CartBundleItem({layout, bundle}) {
+  const [expanded, setExpanded] = useState(true);
+  const linesId = useId();
+  const {title, lines, discount} = bundle;
+  const lineIds = lines.map((line) => line.id);
+  const currencyCode = lines[0].cost.totalAmount.currencyCode;
+  const price = discount
+    ? discount.subtotal - discount.savings
+    : lines.reduce(
+        (total, line) => total + Number(line.cost.totalAmount.amount),
+        0,
+      );
+
+  return (
+    <li className="cart-bundle">
+      <div className="cart-bundle-header">
+        <button
+          aria-controls={linesId}
+          aria-expanded={expanded}
+          onClick={() => setExpanded(!expanded)}
+          type="button"
+        >
+          <strong>{title}</strong>
+          <small>
+            {' '}
+            ({lines.length} {lines.length === 1 ? 'item' : 'items'})
+          </small>
+        </button>
+        <ProductPrice
+          price={toMoney(price, currencyCode)}
+          compareAtPrice={
+            discount ? toMoney(discount.subtotal, currencyCode) : null
+          }
+        />
+        {discount && (
+          <small>
+            You save <Money data={toMoney(discount.savings, currencyCode)} />
+          </small>
+        )}
+        <CartLineRemoveButton
+          disabled={lines.some((line) => line.isOptimistic)}
+          lineIds={lineIds}
+        >
+          Remove bundle
+        </CartLineRemoveButton>
+      </div>
+      <ul hidden={!expanded} id={linesId}>
+        {lines.map((line) => (
+          <CartLineItem
+            bundleLines={lines}
+            key={line.id}
+            layout={layout}
+            line={line}
+          />
+        ))}
+      </ul>
+    </li>
+  );
+}
+
 /**
  * Provides the controls to update the quantity of a line item in the cart.
  * These controls are disabled when the line item is new, and the server
  * hasn't yet responded that it was successfully added to the cart.
- * @param {{line: CartLine}}
+ * For bundle lines every line of the bundle is set to the new quantity, so
+ * the bundle stays whole.
+ * @param {{line: CartLine; bundleLines?: CartLine[]}}
  */
-function CartLineQuantity({line}) {
+function CartLineQuantity({line, bundleLines}) {
   if (!line || typeof line?.quantity === 'undefined') return null;
   const {id: lineId, quantity, isOptimistic} = line;
   const prevQuantity = Number(Math.max(0, quantity - 1).toFixed(0));
   const nextQuantity = Number((quantity + 1).toFixed(0));
+  const lineIds = bundleLines?.map((bundleLine) => bundleLine.id) ?? [lineId];
 
   return (
     <div className="cart-line-quantity">
       <small>Quantity: {quantity} &nbsp;&nbsp;</small>
-      <CartLineUpdateButton lines={[{id: lineId, quantity: prevQuantity}]}>
+      <CartLineUpdateButton
+        lines={lineIds.map((id) => ({id, quantity: prevQuantity}))}
+      >
         <button
           aria-label="Decrease quantity"
           disabled={quantity <= 1 || !!isOptimistic}
@@ -87,7 +166,9 @@ function CartLineQuantity({line}) {
         </button>
       </CartLineUpdateButton>
       &nbsp;
-      <CartLineUpdateButton lines={[{id: lineId, quantity: nextQuantity}]}>
+      <CartLineUpdateButton
+        lines={lineIds.map((id) => ({id, quantity: nextQuantity}))}
+      >
         <button
           aria-label="Increase quantity"
           name="increase-quantity"
@@ -97,8 +178,12 @@ function CartLineQuantity({line}) {
           <span>&#43;</span>
         </button>
       </CartLineUpdateButton>
-      &nbsp;
-      <CartLineRemoveButton lineIds={[lineId]} disabled={!!isOptimistic} />
+      {!bundleLines && (
+        <>
+          &nbsp;
+          <CartLineRemoveButton lineIds={[lineId]} disabled={!!isOptimistic} />
+        </>
+      )}
     </div>
   );
 }
@@ -110,9 +195,10 @@ function CartLineQuantity({line}) {
  * @param {{
  *   lineIds: string[];
  *   disabled: boolean;
+ *   children?: React.ReactNode;
  * }}
  */
-function CartLineRemoveButton({lineIds, disabled}) {
+function CartLineRemoveButton({lineIds, disabled, children = 'Remove'}) {
   return (
     <CartForm
       fetcherKey={getUpdateKey(lineIds)}
@@ -121,7 +207,7 @@ function CartLineRemoveButton({lineIds, disabled}) {
       inputs={{lineIds}}
     >
       <button disabled={disabled} type="submit">
-        Remove
+        {children}
       </button>
     </CartForm>
   );
@@ -163,5 +249,9 @@ function getUpdateKey(lineIds) {
 
 /** @typedef {import('@shopify/hydrogen/storefront-api-types').CartLineUpdateInput} CartLineUpdateInput */
 /** @typedef {import('~/components/CartMain').CartLayout} CartLayout */
+/**
+ * @template {import('~/lib/bundlePricing').CartLineLike} Line
+ * @typedef {import('~/lib/bundlePricing').CartBundleGroup<Line>} CartBundleGroup
+ */
 /** @typedef {import('@shopify/hydrogen').OptimisticCartLine} OptimisticCartLine */
 /** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
@@ -1,12 +1,15 @@
 import {useOptimisticCart} from '@shopify/hydrogen';
 import {Link} from 'react-router';
 import {useAside} from '~/components/Aside';
-import {CartLineItem} from '~/components/CartLineItem';
+import {CartBundleItem, CartLineItem} from '~/components/CartLineItem';
+import {CartRecommendations} from '~/components/CartRecommendations';
+import {groupCartLines} from '~/lib/bundlePricing';
 import {CartSummary} from './CartSummary';
 
 /**
  * The main cart component that displays the cart items and summary.
  * It is used by both the /cart route and the cart aside dialog.
+ * Lines added together as a bundle are listed as one bundle item.
  * @param {CartMainProps}
  */
 export function CartMain({layout, cart: originalCart}) {
@@ -27,11 +30,24 @@ export function CartMain({layout, cart: originalCart}) {
       <div className="cart-details">
         <div aria-labelledby="cart-lines">
           <ul>
-            {(cart?.lines?.nodes ?? []).map((line) => (
-              <CartLineItem key={line.id} line={line} layout={layout} />
-            ))}
+            {groupCartLines(cart?.lines?.nodes ?? [], cart).map((group) =>
+              group.type === 'bundle' ? (
+                <CartBundleItem
+                  bundle={group}
+                  key={group.bundleId}
+                  layout={layout}
+                />
+              ) : (
+                <CartLineItem
+                  key={group.line.id}
+                  line={group.line}
+                  layout={layout}
+                />
+              ),
+            )}
           </ul>
         </div>
+        {layout === 'aside' && <CartRecommendations cart={originalCart} />}
         {cartHasItems && <CartSummary cart={cart} layout={layout} />}
       </div>
     </div>
@@ -0,0 +1,127 @@
+import {useEffect} from 'react';
+import {Link, useFetcher, useLocation} from 'react-router';
+import {Image, Money, useAnalytics} from '@shopify/hydrogen';
+import {AddToCartButton} from '~/components/AddToCartButton';
+import {
+  getRecentlyViewedProductIds,
+  RECENTLY_VIEWED_PARAM,
+} from '~/lib/recentlyViewed';
+import {useVariantUrl} from '~/lib/variants';
+
+export const CART_RECOMMENDATIONS_ENDPOINT = '/api/cart-recommendations';
+
+/**
+ * "Complete the look" rail for the cart drawer, seeded by the products in the
+ * cart and personalized with the shopper's recently viewed products while
+ * tracking consent is given. Products are added in place, so the drawer stays
+ * open.
+ * @param {{cart: CartApiQueryFragment | null}}
+ */
+export function CartRecommendations({cart}) {
+  /** @type {Fetcher<CartRecommendationsData>} */
+  const fetcher = useFetcher({key: 'cart-recommendations'});
+  const {load} = fetcher;
+  const {canTrack} = useAnalytics();
+  // Recommendations are priced and translated for the current locale
+  const {pathname} = useLocation();
+  const pathPrefix = /^\/[a-z]{2}-[a-z]{2}(?=\/|$)/i.exec(pathname)?.[0] ?? '';
+
+  const cartProductIds = (cart?.lines?.nodes ?? [])
+    .map((line) => line.merchandise?.product?.id)
+    .filter(Boolean);
+  // Only reload when the set of products in the cart changes
+  const seedKey = [...new Set(cartProductIds)].sort().join(',');
+
+  useEffect(() => {
+    if (!seedKey) return;
+
+    const params = new URLSearchParams();
+    for (const id of canTrack() ? getRecentlyViewedProductIds() : []) {
+      params.append(RECENTLY_VIEWED_PARAM, id);
+    }
+    const query = params.toString();
+    const endpoint = `${pathPrefix}${CART_RECOMMENDATIONS_ENDPOINT}`;
+    void load(query ? `${endpoint}?${query}` : endpoint);
+  }, [seedKey, pathPrefix, canTrack, load]);
+
+  const inCart = new Set(cartProductIds);
+  const products = (fetcher.data?.products ?? []).filter(
+    (product) => !inCart.has(product.id),
+  );
+
+  if (!seedKey || !products.length) return null;
+
+  const reasons = new Map(
+    (fetcher.data?.recommendations ?? []).map(({handle, reason}) => [
+      handle,
+      reason,
+    ]),
+  );
+
+  return (
+    <section
+      aria-labelledby="cart-recommendations-title"
+      className="cart-recommendations"
+    >
+      <h4 id="cart-recommendations-title">Complete the look</h4>
+      <ul className="cart-recommendations-list">
+        {products.map((product) => (
+          <CartRecommendationCard
+            key={product.id}
+            product={product}
+            reason={reasons.get(product.handle)}
+          />
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+/**
+ * @param {{
+ *   product: CartRecommendationProductFragment;
+ *   reason?: string;
+ * }}
+ */
+function CartRecommendationCard({product, reason}) {
+  const variantUrl = useVariantUrl(product.handle);
+  const variant = product.selectedOrFirstAvailableVariant;
+  const image = product.featuredImage;
+
+  return (
+    <li className="cart-recommendation">
+      {image && (
+        <Image
+          alt={image.altText || product.title}
+          aspectRatio="1/1"
+          data={image}
+          height={80}
+          loading="lazy"
+          width={80}
+        />
+      )}
+      <div>
+        <Link prefetch="intent" to={variantUrl}>
+          <p>
+            <strong>{product.title}</strong>
+          </p>
+        </Link>
+        <small>
+          <Money data={product.priceRange.minVariantPrice} />
+        </small>
+        {reason && <p className="cart-recommendation-reason">{reason}</p>}
+        <AddToCartButton
+          disabled={!variant?.availableForSale}
+          lines={variant ? [{merchandiseId: variant.id, quantity: 1}] : []}
+        >
+          {variant?.availableForSale ? 'Add' : 'Sold out'}
+        </AddToCartButton>
+      </div>
+    </li>
+  );
+}
+
+/** @template T @typedef {import('react-router').Fetcher<T>} Fetcher */
+/** @typedef {import('~/routes/($locale).api.cart-recommendations').CartRecommendationsData} CartRecommendationsData */
+/** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
+/** @typedef {import('storefrontapi.generated').CartRecommendationProductFragment} CartRecommendationProductFragment */
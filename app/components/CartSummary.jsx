@@ -1,6 +1,7 @@
 import {CartForm, Money} from '@shopify/hydrogen';
 import {useEffect, useRef} from 'react';
 import {useFetcher} from 'react-router';
+import {getCartBundleSavings, toMoney} from '~/lib/bundlePricing';
 
 /**
  * @param {CartSummaryProps}
@@ -22,6 +23,7 @@ export function CartSummary({cart, layout}) {
           )}
         </dd>
       </dl>
+      <CartBundleSavings cart={cart} />
       <CartDiscounts discountCodes={cart?.discountCodes} />
       <CartGiftCard giftCardCodes={cart?.appliedGiftCards} />
       <CartCheckoutActions checkoutUrl={cart?.checkoutUrl} />
@@ -29,6 +31,27 @@ export function CartSummary({cart, layout}) {
   );
 }
 
+/**
+ * Savings checkout applies to the complete bundles in the cart, see
+ * `groupCartLines`.
+ * @param {{cart: OptimisticCart<CartApiQueryFragment | null>}}
+ */
+function CartBundleSavings({cart}) {
+  const currencyCode = cart?.cost?.subtotalAmount?.currencyCode;
+  const savings = getCartBundleSavings(cart);
+
+  if (!currencyCode || savings <= 0) return null;
+
+  return (
+    <dl className="cart-bundle-savings">
+      <dt>Bundle savings</dt>
+      <dd>
+        -<Money data={toMoney(savings, currencyCode)} />
+      </dd>
+    </dl>
+  );
+}
+
 /**
  * @param {{checkoutUrl?: string}}
  */
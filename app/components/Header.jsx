@@ -97,6 +97,7 @@ function HeaderCtas({isLoggedIn, cart}) {
         </Suspense>
       </NavLink>
       <SearchToggle />
+      <AssistantToggle />
       <CartToggle cart={cart} />
     </nav>
   );
@@ -123,6 +124,15 @@ function SearchToggle() {
   );
 }
 
+function AssistantToggle() {
+  const {open} = useAside();
+  return (
+    <button className="reset" onClick={() => open('assistant')}>
+      Assistant
+    </button>
+  );
+}
+
 /**
  * @param {{count: number | null}}
  */
@@ -1,6 +1,7 @@
 import {Await, Link} from 'react-router';
 import {Suspense, useId} from 'react';
-import {Aside} from '~/components/Aside';
+import {Aside, useAside} from '~/components/Aside';
+import {AssistantChat} from '~/components/AssistantChat';
 import {Footer} from '~/components/Footer';
 import {Header, HeaderMenu} from '~/components/Header';
 import {CartMain} from '~/components/CartMain';
@@ -25,6 +26,7 @@ export function PageLayout({
     <Aside.Provider>
       <CartAside cart={cart} />
       <SearchAside />
+      <AssistantAside />
       <MobileMenuAside header={header} publicStoreDomain={publicStoreDomain} />
       {header && (
         <Header
@@ -143,6 +145,16 @@ function SearchAside() {
   );
 }
 
+function AssistantAside() {
+  const {type} = useAside();
+  return (
+    <Aside type="assistant" heading="ASSISTANT">
+      {/* Only load the conversation once the assistant is opened */}
+      {type === 'assistant' && <AssistantChat />}
+    </Aside>
+  );
+}
+
 /**
  * @param {{
  *   header: PageLayoutProps['header'];
@@ -0,0 +1,36 @@
+import {useEffect, useRef} from 'react';
+import {AnalyticsEvent, useAnalytics} from '@shopify/hydrogen';
+import {
+  addRecentlyViewedProduct,
+  clearRecentlyViewed,
+} from '~/lib/recentlyViewed';
+
+/**
+ * Records the products published by `Analytics.ProductView` as recently
+ * viewed, for personalized recommendations. Nothing is stored without
+ * tracking consent, and the history is dropped once consent is withdrawn.
+ * Must be rendered inside `Analytics.Provider`.
+ */
+export function RecentlyViewedTracker() {
+  const {subscribe, canTrack} = useAnalytics();
+  const canTrackRef = useRef(canTrack);
+  canTrackRef.current = canTrack;
+
+  // Analytics subscriptions can't be removed, so subscribe once and read the
+  // current consent through the ref
+  useEffect(() => {
+    subscribe(AnalyticsEvent.PRODUCT_VIEWED, (payload) => {
+      if (!canTrackRef.current()) {
+        clearRecentlyViewed();
+        return;
+      }
+
+      const productId = payload.products?.[0]?.id;
+      if (productId) {
+        addRecentlyViewedProduct(productId);
+      }
+    });
+  }, [subscribe]);
+
+  return null;
+}
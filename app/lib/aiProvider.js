@@ -0,0 +1,613 @@
+/**
+ * Pluggable text-generation providers used by the AI recommendation helpers.
+ *
+ * The provider is selected from environment variables so it can be swapped
+ * without code changes:
+ * - `AI_PROVIDER`: `gemini` | `openai` | `ollama` | `mock`. Defaults to
+ *   `gemini` when `GEMINI_API_KEY` is set, otherwise no provider is configured.
+ * - `AI_MODEL`: model name passed to the provider (optional).
+ * - `AI_EMBEDDING_MODEL`: embedding model used by semantic search (optional).
+ * - `AI_API_KEY`: API key (falls back to `GEMINI_API_KEY` / `OPENAI_API_KEY`).
+ * - `AI_BASE_URL`: base URL of the provider API (optional, required by
+ *   self-hosted OpenAI-compatible endpoints).
+ *
+ * Providers throw `AIError`s carrying a `category` so callers can decide how
+ * to fall back.
+ */
+
+export const AI_PROVIDERS = {
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  OLLAMA: 'ollama',
+  MOCK: 'mock',
+};
+
+export const AI_ERROR_CATEGORIES = {
+  TIMEOUT: 'timeout',
+  QUOTA: 'quota',
+  PARSE: 'parse',
+  INVALID_HANDLE: 'invalid-handle',
+  PROVIDER: 'provider',
+  CIRCUIT_OPEN: 'circuit-open',
+};
+
+/**
+ * Error thrown by AI providers and helpers, see `AI_ERROR_CATEGORIES`.
+ */
+export class AIError extends Error {
+  /**
+   * @param {string} message
+   * @param {AIErrorCategory} category
+   * @param {{status?: number; cause?: unknown}} [options]
+   */
+  constructor(message, category, {status, cause} = {}) {
+    super(message, {cause});
+    this.name = 'AIError';
+    this.category = category;
+    this.status = status;
+  }
+}
+
+const DEFAULT_MODELS = {
+  // Structured output (`responseSchema`) needs Gemini 1.5 or later
+  [AI_PROVIDERS.GEMINI]: 'gemini-1.5-flash',
+  [AI_PROVIDERS.OPENAI]: 'gpt-4o-mini',
+  [AI_PROVIDERS.OLLAMA]: 'llama3.1',
+  [AI_PROVIDERS.MOCK]: 'mock',
+};
+
+const DEFAULT_EMBEDDING_MODELS = {
+  [AI_PROVIDERS.GEMINI]: 'text-embedding-004',
+  [AI_PROVIDERS.OPENAI]: 'text-embedding-3-small',
+  [AI_PROVIDERS.OLLAMA]: 'nomic-embed-text',
+  [AI_PROVIDERS.MOCK]: 'mock-embedding',
+};
+
+// Dimensions of the mock provider's hashed bag-of-words embeddings
+const MOCK_EMBEDDING_DIMENSIONS = 256;
+
+const DEFAULT_BASE_URLS = {
+  [AI_PROVIDERS.GEMINI]: 'https://generativelanguage.googleapis.com/v1beta',
+  [AI_PROVIDERS.OPENAI]: 'https://api.openai.com/v1',
+  [AI_PROVIDERS.OLLAMA]: 'http://localhost:11434',
+};
+
+const DEFAULT_GENERATION_CONFIG = {
+  temperature: 0.7,
+  topK: 40,
+  topP: 0.95,
+  maxOutputTokens: 1024,
+};
+
+/**
+ * Creates the AI provider configured by the environment.
+ * @returns The configured provider, or null when none is configured
+ * @param {AIProviderEnv} env
+ */
+export function createAIProvider(env = {}) {
+  const name = (
+    env.AI_PROVIDER || (env.GEMINI_API_KEY ? AI_PROVIDERS.GEMINI : '')
+  ).toLowerCase();
+
+  const options = {
+    model: env.AI_MODEL,
+    embeddingModel: env.AI_EMBEDDING_MODEL,
+    baseUrl: env.AI_BASE_URL,
+  };
+
+  switch (name) {
+    case AI_PROVIDERS.GEMINI:
+      return createGeminiProvider({
+        ...options,
+        apiKey: env.AI_API_KEY || env.GEMINI_API_KEY,
+      });
+    case AI_PROVIDERS.OPENAI:
+      return createOpenAIProvider({
+        ...options,
+        apiKey: env.AI_API_KEY || env.OPENAI_API_KEY,
+      });
+    case AI_PROVIDERS.OLLAMA:
+      return createOllamaProvider(options);
+    case AI_PROVIDERS.MOCK:
+      return createMockProvider(options);
+    case '':
+      return null;
+    default:
+      throw new Error(`Unknown AI provider "${name}"`);
+  }
+}
+
+/**
+ * Google Gemini `generateContent` provider. The API key is sent as a header
+ * so it never ends up in request logs.
+ * @param {AIProviderOptions}
+ * @returns {AIProvider}
+ */
+export function createGeminiProvider({apiKey, model, embeddingModel, baseUrl}) {
+  if (!apiKey) {
+    throw new Error('Gemini API key is required');
+  }
+
+  const modelName = model || DEFAULT_MODELS[AI_PROVIDERS.GEMINI];
+  const embeddingModelName =
+    embeddingModel || DEFAULT_EMBEDDING_MODELS[AI_PROVIDERS.GEMINI];
+  const apiUrl = trimSlash(baseUrl || DEFAULT_BASE_URLS[AI_PROVIDERS.GEMINI]);
+  const endpoint = `${apiUrl}/models/${modelName}:generateContent`;
+
+  return {
+    name: AI_PROVIDERS.GEMINI,
+    model: modelName,
+    embeddingModel: embeddingModelName,
+    async generate({prompt, responseSchema, signal}) {
+      const data = await postJson(
+        endpoint,
+        {
+          contents: [{parts: [{text: prompt}]}],
+          generationConfig: {
+            ...DEFAULT_GENERATION_CONFIG,
+            ...(responseSchema && {
+              responseMimeType: 'application/json',
+              responseSchema: toGeminiSchema(responseSchema),
+            }),
+          },
+        },
+        {'x-goog-api-key': apiKey},
+        'Gemini',
+        signal,
+      );
+
+      const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (typeof text !== 'string') {
+        throw new AIError(
+          'Invalid response from Gemini API',
+          AI_ERROR_CATEGORIES.PARSE,
+        );
+      }
+
+      return text.trim();
+    },
+    async embed({texts, signal}) {
+      const data = await postJson(
+        `${apiUrl}/models/${embeddingModelName}:batchEmbedContents`,
+        {
+          requests: texts.map((text) => ({
+            model: `models/${embeddingModelName}`,
+            content: {parts: [{text}]},
+          })),
+        },
+        {'x-goog-api-key': apiKey},
+        'Gemini',
+        signal,
+      );
+
+      return toEmbeddings(
+        data.embeddings?.map((embedding) => embedding.values),
+        texts.length,
+        'Gemini',
+      );
+    },
+  };
+}
+
+/**
+ * OpenAI-compatible `chat/completions` provider. Works with OpenAI and with
+ * any service exposing the same API through `AI_BASE_URL`.
+ * @param {AIProviderOptions}
+ * @returns {AIProvider}
+ */
+export function createOpenAIProvider({apiKey, model, embeddingModel, baseUrl}) {
+  if (!apiKey && !baseUrl) {
+    throw new Error('OpenAI API key is required');
+  }
+
+  const modelName = model || DEFAULT_MODELS[AI_PROVIDERS.OPENAI];
+  const embeddingModelName =
+    embeddingModel || DEFAULT_EMBEDDING_MODELS[AI_PROVIDERS.OPENAI];
+  const apiUrl = trimSlash(baseUrl || DEFAULT_BASE_URLS[AI_PROVIDERS.OPENAI]);
+  const endpoint = `${apiUrl}/chat/completions`;
+  const headers = apiKey ? {Authorization: `Bearer ${apiKey}`} : {};
+
+  return {
+    name: AI_PROVIDERS.OPENAI,
+    model: modelName,
+    embeddingModel: embeddingModelName,
+    async generate({prompt, responseSchema, signal}) {
+      const data = await postJson(
+        endpoint,
+        {
+          model: modelName,
+          messages: [{role: 'user', content: prompt}],
+          temperature: DEFAULT_GENERATION_CONFIG.temperature,
+          top_p: DEFAULT_GENERATION_CONFIG.topP,
+          max_tokens: DEFAULT_GENERATION_CONFIG.maxOutputTokens,
+          ...(responseSchema && {
+            response_format: {
+              type: 'json_schema',
+              json_schema: {
+                name: 'response',
+                schema: responseSchema,
+                strict: true,
+              },
+            },
+          }),
+        },
+        headers,
+        'OpenAI',
+        signal,
+      );
+
+      const text = data.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new AIError(
+          'Invalid response from OpenAI API',
+          AI_ERROR_CATEGORIES.PARSE,
+        );
+      }
+
+      return text.trim();
+    },
+    async embed({texts, signal}) {
+      const data = await postJson(
+        `${apiUrl}/embeddings`,
+        {model: embeddingModelName, input: texts},
+        headers,
+        'OpenAI',
+        signal,
+      );
+
+      return toEmbeddings(
+        data.data
+          ?.sort((a, b) => a.index - b.index)
+          .map((item) => item.embedding),
+        texts.length,
+        'OpenAI',
+      );
+    },
+  };
+}
+
+/**
+ * Local Ollama-style HTTP provider (`POST /api/generate`).
+ * @param {AIProviderOptions}
+ * @returns {AIProvider}
+ */
+export function createOllamaProvider({model, embeddingModel, baseUrl}) {
+  const modelName = model || DEFAULT_MODELS[AI_PROVIDERS.OLLAMA];
+  const embeddingModelName =
+    embeddingModel || DEFAULT_EMBEDDING_MODELS[AI_PROVIDERS.OLLAMA];
+  const apiUrl = trimSlash(baseUrl || DEFAULT_BASE_URLS[AI_PROVIDERS.OLLAMA]);
+  const endpoint = `${apiUrl}/api/generate`;
+
+  return {
+    name: AI_PROVIDERS.OLLAMA,
+    model: modelName,
+    embeddingModel: embeddingModelName,
+    async generate({prompt, responseSchema, signal}) {
+      const data = await postJson(
+        endpoint,
+        {
+          model: modelName,
+          prompt,
+          stream: false,
+          ...(responseSchema && {format: responseSchema}),
+          options: {
+            temperature: DEFAULT_GENERATION_CONFIG.temperature,
+            top_k: DEFAULT_GENERATION_CONFIG.topK,
+            top_p: DEFAULT_GENERATION_CONFIG.topP,
+            num_predict: DEFAULT_GENERATION_CONFIG.maxOutputTokens,
+          },
+        },
+        {},
+        'Ollama',
+        signal,
+      );
+
+      if (typeof data.response !== 'string') {
+        throw new AIError(
+          'Invalid response from Ollama API',
+          AI_ERROR_CATEGORIES.PARSE,
+        );
+      }
+
+      return data.response.trim();
+    },
+    async embed({texts, signal}) {
+      const data = await postJson(
+        `${apiUrl}/api/embed`,
+        {model: embeddingModelName, input: texts},
+        {},
+        'Ollama',
+        signal,
+      );
+
+      return toEmbeddings(data.embeddings, texts.length, 'Ollama');
+    },
+  };
+}
+
+/**
+ * Deterministic offline provider. It reads the candidate products listed in
+ * the prompt (`- Title (handle) - price: description` lines), ranks them by
+ * word overlap with the rest of the prompt and answers in the shape requested
+ * by `responseSchema` (recommendations with reasons, an assistant reply,
+ * bundle suggestions, or a bare JSON array of handles), so the whole
+ * recommendation flow can run without network access.
+ * @param {Pick<AIProviderOptions, 'model'>} [options]
+ * @returns {AIProvider}
+ */
+export function createMockProvider({model, embeddingModel} = {}) {
+  return {
+    name: AI_PROVIDERS.MOCK,
+    model: model || DEFAULT_MODELS[AI_PROVIDERS.MOCK],
+    embeddingModel:
+      embeddingModel || DEFAULT_EMBEDDING_MODELS[AI_PROVIDERS.MOCK],
+    async generate({prompt, responseSchema}) {
+      const candidates = [];
+      const contextLines = [];
+
+      for (const line of prompt.split('\n')) {
+        const match = line.match(
+          /^- (.*?) \(([^()\s]+)\)(?: - [^:]*)?(?::\s*(.*))?$/,
+        );
+        if (match) {
+          const [, title, handle, description = ''] = match;
+          candidates.push({
+            title,
+            handle,
+            words: tokenize(`${title} ${description}`),
+          });
+        } else {
+          contextLines.push(line);
+        }
+      }
+
+      const contextWords = new Set(tokenize(contextLines.join(' ')));
+      const ranked = candidates
+        .map((candidate, index) => ({
+          handle: candidate.handle,
+          index,
+          matches: [
+            ...new Set(
+              candidate.words.filter((word) => contextWords.has(word)),
+            ),
+          ],
+        }))
+        .sort(
+          (a, b) => b.matches.length - a.matches.length || a.index - b.index,
+        )
+        .slice(0, 6);
+
+      if (responseSchema?.properties?.recommendations) {
+        return JSON.stringify({
+          recommendations: ranked.map(({handle, matches}) => ({
+            handle,
+            reason: matches.length
+              ? `Matches ${matches.slice(0, 3).join(', ')}`
+              : 'A popular pick from the catalog',
+            confidence: Math.min(0.95, 0.5 + matches.length * 0.1),
+          })),
+        });
+      }
+
+      if (responseSchema?.properties?.bundles) {
+        // Groups of three consecutive candidates, in prompt order
+        const bundles = [];
+        for (let start = 0; start + 1 < candidates.length; start += 3) {
+          const group = candidates.slice(start, start + 3);
+          bundles.push({
+            title: `${group[0].title} Set`,
+            description: `${group.map(({title}) => title).join(', ')} together.`,
+            handles: group.map(({handle}) => handle),
+            discountType: 'percentage',
+            discountValue: 10,
+          });
+        }
+        return JSON.stringify({bundles: bundles.slice(0, 3)});
+      }
+
+      if (responseSchema?.properties?.reply) {
+        return JSON.stringify({
+          reply: 'Here are some products that match what you asked for.',
+          products: ranked.slice(0, 4).map(({handle}) => handle),
+        });
+      }
+
+      return JSON.stringify(ranked.map(({handle}) => handle));
+    },
+    // Hashed bag of words: texts sharing words get similar vectors
+    async embed({texts}) {
+      return texts.map((text) => {
+        const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+        for (const word of tokenize(text)) {
+          vector[hashString(word) % MOCK_EMBEDDING_DIMENSIONS] += 1;
+        }
+        return vector;
+      });
+    },
+  };
+}
+
+/**
+ * @param {string} text
+ */
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 2);
+}
+
+/**
+ * @param {string} text
+ */
+function hashString(text) {
+  let hash = 0;
+  for (let index = 0; index < text.length; index++) {
+    hash = (hash * 31 + text.charCodeAt(index)) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * @param {unknown} embeddings
+ * @param {number} count Number of texts sent
+ * @param {string} label - Provider name used in error messages
+ * @returns {number[][]}
+ */
+function toEmbeddings(embeddings, count, label) {
+  if (
+    !Array.isArray(embeddings) ||
+    embeddings.length !== count ||
+    !embeddings.every(Array.isArray)
+  ) {
+    throw new AIError(
+      `Invalid embeddings response from ${label} API`,
+      AI_ERROR_CATEGORIES.PARSE,
+    );
+  }
+
+  return embeddings;
+}
+
+/**
+ * @param {string} url
+ */
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Gemini accepts an OpenAPI subset: upper-case types and no
+ * `additionalProperties`.
+ * @param {JsonSchema} schema
+ */
+function toGeminiSchema(schema) {
+  const {properties, items, type, ...rest} = schema;
+  delete rest.additionalProperties;
+
+  return {
+    ...rest,
+    type: type.toUpperCase(),
+    ...(properties && {
+      properties: Object.fromEntries(
+        Object.entries(properties).map(([key, value]) => [
+          key,
+          toGeminiSchema(value),
+        ]),
+      ),
+    }),
+    ...(items && {items: toGeminiSchema(items)}),
+  };
+}
+
+/**
+ * @param {string} url
+ * @param {unknown} body
+ * @param {Record<string, string>} headers
+ * @param {string} label - Provider name used in error messages
+ * @param {AbortSignal} [signal]
+ */
+async function postJson(url, body, headers, label, signal) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers,
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    const isTimeout =
+      error?.name === 'AbortError' || error?.name === 'TimeoutError';
+    throw new AIError(
+      `${label} API request failed: ${error?.message ?? error}`,
+      isTimeout ? AI_ERROR_CATEGORIES.TIMEOUT : AI_ERROR_CATEGORIES.PROVIDER,
+      {cause: error},
+    );
+  }
+
+  if (!response.ok) {
+    const errorData = await response.text();
+    throw new AIError(
+      `${label} API error: ${response.status} ${response.statusText} - ${errorData}`,
+      getErrorCategory(response.status),
+      {status: response.status},
+    );
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new AIError(
+      `${label} API returned invalid JSON`,
+      AI_ERROR_CATEGORIES.PARSE,
+      {cause: error},
+    );
+  }
+}
+
+/**
+ * @param {number} status
+ * @returns {AIErrorCategory}
+ */
+function getErrorCategory(status) {
+  if (status === 429) return AI_ERROR_CATEGORIES.QUOTA;
+  if (status === 408 || status === 504) return AI_ERROR_CATEGORIES.TIMEOUT;
+  return AI_ERROR_CATEGORIES.PROVIDER;
+}
+
+/**
+ * @typedef {Object} AIProvider
+ * @property {string} name Provider identifier, one of `AI_PROVIDERS`
+ * @property {string} model Model used for generation
+ * @property {string} embeddingModel Model used for embeddings
+ * @property {(request: AIGenerateRequest) => Promise<string>} generate
+ * @property {(request: AIEmbedRequest) => Promise<number[][]>} embed One
+ * vector per text, in order
+ */
+/**
+ * @typedef {Object} AIGenerateRequest
+ * @property {string} prompt The full prompt to send to the model
+ * @property {JsonSchema} [responseSchema] Requests structured JSON output
+ * matching this (JSON Schema subset) schema
+ * @property {AbortSignal} [signal] Aborts the request, see `~/lib/aiResilience`
+ */
+/**
+ * @typedef {Object} AIEmbedRequest
+ * @property {string[]} texts
+ * @property {AbortSignal} [signal]
+ */
+/**
+ * @typedef {{
+ *   type: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean';
+ *   properties?: Record<string, JsonSchema>;
+ *   items?: JsonSchema;
+ *   required?: string[];
+ *   enum?: string[];
+ *   additionalProperties?: boolean;
+ *   description?: string;
+ * }} JsonSchema
+ */
+/**
+ * @typedef {'timeout' | 'quota' | 'parse' | 'invalid-handle' | 'provider' | 'circuit-open'} AIErrorCategory
+ */
+/**
+ * @typedef {Object} AIProviderOptions
+ * @property {string} [apiKey]
+ * @property {string} [model]
+ * @property {string} [embeddingModel]
+ * @property {string} [baseUrl]
+ */
+/**
+ * @typedef {Object} AIProviderEnv
+ * @property {string} [AI_PROVIDER]
+ * @property {string} [AI_MODEL]
+ * @property {string} [AI_EMBEDDING_MODEL]
+ * @property {string} [AI_API_KEY]
+ * @property {string} [AI_BASE_URL]
+ * @property {string} [GEMINI_API_KEY]
+ * @property {string} [OPENAI_API_KEY]
+ */
@@ -0,0 +1,306 @@
+import {AI_ERROR_CATEGORIES, AIError, createAIProvider} from '~/lib/aiProvider';
+
+/**
+ * Timeouts, retries and a circuit breaker around AI provider calls, so a slow
+ * or failing provider can't block requests or be hammered with retries.
+ *
+ * Configured by environment variables:
+ * - `AI_TIMEOUT_MS`: per-attempt timeout (default 8000).
+ * - `AI_MAX_RETRIES`: retries after a 429 or 5xx response (default 2).
+ * - `AI_CIRCUIT_FAILURE_THRESHOLD`: consecutive failures opening the circuit
+ *   (default 5).
+ * - `AI_CIRCUIT_COOLDOWN_SECONDS`: how long an open circuit short-circuits
+ *   calls before a trial call is let through (default 60).
+ */
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_SECONDS = 60;
+const RETRY_BASE_DELAY_MS = 250;
+const RETRY_MAX_DELAY_MS = 2000;
+// Forget a streak of failures when nothing failed for this long
+const FAILURE_WINDOW_SECONDS = 10 * 60;
+
+/**
+ * Creates the AI provider configured by the environment, wrapped with
+ * `withResilience`. Pass the context's `circuitBreakerStore` so the circuit
+ * state is shared between requests.
+ * @param {AIProviderEnv & ResilienceEnv} env
+ * @param {{store?: CircuitBreakerStore}} [options]
+ * @returns The wrapped provider, or null when none is configured
+ */
+export function createResilientAIProvider(env = {}, {store} = {}) {
+  const provider = createAIProvider(env);
+  if (!provider) return null;
+
+  const timeoutMs = parsePositiveInt(env.AI_TIMEOUT_MS, DEFAULT_TIMEOUT_MS);
+  const maxRetries = parseNonNegativeInt(
+    env.AI_MAX_RETRIES,
+    DEFAULT_MAX_RETRIES,
+  );
+
+  return withResilience(provider, {
+    timeoutMs,
+    maxRetries,
+    circuitBreaker: store
+      ? createCircuitBreaker({
+          store,
+          key: `${provider.name}:${provider.model}`,
+          // The longest a call can take with all its retries
+          trialTimeoutMs:
+            timeoutMs * (maxRetries + 1) + RETRY_MAX_DELAY_MS * maxRetries,
+          failureThreshold: parsePositiveInt(
+            env.AI_CIRCUIT_FAILURE_THRESHOLD,
+            DEFAULT_FAILURE_THRESHOLD,
+          ),
+          coolDownSeconds: parsePositiveInt(
+            env.AI_CIRCUIT_COOLDOWN_SECONDS,
+            DEFAULT_COOLDOWN_SECONDS,
+          ),
+        })
+      : null,
+  });
+}
+
+/**
+ * Wraps a provider so each `generate` and `embed` attempt is aborted after
+ * `timeoutMs`, 429 and 5xx responses are retried up to `maxRetries` times
+ * with jittered exponential backoff, and calls fail fast with a
+ * `circuit-open` `AIError` while the circuit breaker is open.
+ * @param {AIProvider} provider
+ * @param {ResilienceOptions} options
+ * @returns {AIProvider}
+ */
+export function withResilience(
+  provider,
+  {timeoutMs, maxRetries, circuitBreaker},
+) {
+  /**
+   * @template T
+   * @param {(signal: AbortSignal) => Promise<T>} call
+   * @returns {Promise<T>}
+   */
+  async function run(call) {
+    const retryAfter = (await circuitBreaker?.acquire()) ?? 0;
+    if (retryAfter > 0) {
+      throw new AIError(
+        `${provider.name} circuit is open, retry in ${retryAfter}s`,
+        AI_ERROR_CATEGORIES.CIRCUIT_OPEN,
+      );
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await callWithTimeout(provider, call, timeoutMs);
+        await circuitBreaker?.recordSuccess();
+        return result;
+      } catch (error) {
+        if (attempt < maxRetries && isRetryable(error)) {
+          await sleep(getRetryDelay(attempt));
+          continue;
+        }
+
+        await circuitBreaker?.recordFailure();
+        throw error;
+      }
+    }
+  }
+
+  return {
+    ...provider,
+    generate: (request) =>
+      run((signal) => provider.generate({...request, signal})),
+    embed: (request) => run((signal) => provider.embed({...request, signal})),
+  };
+}
+
+/**
+ * Counts consecutive failures in `store` and opens the circuit for
+ * `coolDownSeconds` once `failureThreshold` is reached. After the cool-down
+ * one trial call is let through: success closes the circuit, another failure
+ * opens it again.
+ * @param {CircuitBreakerOptions} options
+ */
+export function createCircuitBreaker({
+  store,
+  key,
+  failureThreshold,
+  coolDownSeconds,
+  trialTimeoutMs,
+}) {
+  const stateKey = `circuit:${key}`;
+
+  return {
+    /**
+     * Checks whether a call may go ahead. The first call after the cool-down
+     * becomes the trial call: the circuit stays open for everyone else until
+     * it's recorded, or for `trialTimeoutMs` if it never is. The store can't
+     * compare-and-set, so racing calls each claim the trial and only the last
+     * claim read back goes ahead.
+     * @returns {Promise<number>} Seconds until the circuit closes, 0 when
+     * the call is allowed
+     */
+    async acquire() {
+      const state = await store.get(stateKey);
+      const openUntil = state?.openUntil ?? 0;
+      const remaining = (openUntil - Date.now()) / 1000;
+      if (remaining > 0) return Math.ceil(remaining);
+
+      if (!openUntil) return 0;
+
+      const trial = crypto.randomUUID();
+      await store.set(
+        stateKey,
+        {...state, openUntil: Date.now() + trialTimeoutMs, trial},
+        trialTimeoutMs / 1000 + FAILURE_WINDOW_SECONDS,
+      );
+      const claimed = await store.get(stateKey);
+      return claimed?.trial === trial ? 0 : Math.ceil(trialTimeoutMs / 1000);
+    },
+    async recordSuccess() {
+      const state = await store.get(stateKey);
+      if (state?.failures || state?.openUntil) {
+        await store.set(stateKey, {failures: 0, openUntil: 0}, 1);
+      }
+    },
+    async recordFailure() {
+      const state = await store.get(stateKey);
+      const failures = (state?.failures ?? 0) + 1;
+
+      if (failures >= failureThreshold) {
+        // Stay one failure short of the threshold so a failed trial call
+        // re-opens the circuit straight away
+        await store.set(
+          stateKey,
+          {
+            failures: failureThreshold - 1,
+            openUntil: Date.now() + coolDownSeconds * 1000,
+          },
+          coolDownSeconds + FAILURE_WINDOW_SECONDS,
+        );
+      } else {
+        await store.set(
+          stateKey,
+          {failures, openUntil: state?.openUntil ?? 0},
+          FAILURE_WINDOW_SECONDS,
+        );
+      }
+    },
+  };
+}
+
+/**
+ * @template T
+ * @param {AIProvider} provider
+ * @param {(signal: AbortSignal) => Promise<T>} call
+ * @param {number} timeoutMs
+ * @returns {Promise<T>}
+ */
+async function callWithTimeout(provider, call, timeoutMs) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  /** @type {() => void} */
+  let onAbort = () => {};
+
+  try {
+    return await Promise.race([
+      call(controller.signal),
+      // Providers that ignore the signal still time out
+      new Promise((resolve, reject) => {
+        onAbort = () =>
+          reject(
+            new AIError(
+              `${provider.name} request timed out after ${timeoutMs}ms`,
+              AI_ERROR_CATEGORIES.TIMEOUT,
+            ),
+          );
+        controller.signal.addEventListener('abort', onAbort);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timeout);
+    controller.signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * @param {unknown} error
+ */
+function isRetryable(error) {
+  return (
+    error instanceof AIError &&
+    (error.status === 429 || (error.status ?? 0) >= 500)
+  );
+}
+
+/**
+ * Full jitter: a random delay up to the exponential backoff.
+ * @param {number} attempt
+ */
+function getRetryDelay(attempt) {
+  const backoff = Math.min(
+    RETRY_MAX_DELAY_MS,
+    RETRY_BASE_DELAY_MS * 2 ** attempt,
+  );
+  return Math.random() * backoff;
+}
+
+/**
+ * @param {number} ms
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {string | undefined} value
+ * @param {number} fallback
+ */
+function parsePositiveInt(value, fallback) {
+  const number = Number.parseInt(value ?? '', 10);
+  return Number.isNaN(number) || number <= 0 ? fallback : number;
+}
+
+/**
+ * @param {string | undefined} value
+ * @param {number} fallback
+ */
+function parseNonNegativeInt(value, fallback) {
+  const number = Number.parseInt(value ?? '', 10);
+  return Number.isNaN(number) || number < 0 ? fallback : number;
+}
+
+/**
+ * @typedef {Object} ResilienceOptions
+ * @property {number} timeoutMs Per-attempt timeout
+ * @property {number} maxRetries Retries after a 429 or 5xx response
+ * @property {ReturnType<typeof createCircuitBreaker> | null} [circuitBreaker]
+ */
+/**
+ * @typedef {Object} CircuitBreakerOptions
+ * @property {CircuitBreakerStore} store
+ * @property {string} key Identifies the protected dependency
+ * @property {number} failureThreshold
+ * @property {number} coolDownSeconds
+ * @property {number} trialTimeoutMs How long the trial call after the
+ * cool-down keeps the circuit open for other calls
+ */
+/**
+ * @typedef {Object} CircuitBreakerState
+ * @property {number} failures Consecutive failures
+ * @property {number} openUntil Epoch milliseconds, 0 when closed
+ * @property {string} [trial] Claim of the running trial call
+ */
+/**
+ * @typedef {Object} ResilienceEnv
+ * @property {string} [AI_TIMEOUT_MS]
+ * @property {string} [AI_MAX_RETRIES]
+ * @property {string} [AI_CIRCUIT_FAILURE_THRESHOLD]
+ * @property {string} [AI_CIRCUIT_COOLDOWN_SECONDS]
+ */
+/** @typedef {StateStore<CircuitBreakerState>} CircuitBreakerStore */
+
+/** @typedef {import('~/lib/aiProvider').AIProvider} AIProvider */
+/** @typedef {import('~/lib/aiProvider').AIProviderEnv} AIProviderEnv */
+/** @template T @typedef {import('~/lib/stateStore').StateStore<T>} StateStore */
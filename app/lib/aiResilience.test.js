@@ -0,0 +1,193 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {AI_ERROR_CATEGORIES, AIError} from '~/lib/aiProvider';
+import {createCircuitBreaker, withResilience} from '~/lib/aiResilience';
+import {createMemoryStateStore} from '~/lib/stateStore';
+
+/**
+ * A provider whose `generate` runs `responses` in turn: errors are thrown,
+ * anything else is returned.
+ * @param {unknown[]} responses
+ */
+function createProvider(responses) {
+  const provider = {
+    name: 'stub',
+    model: 'stub',
+    calls: 0,
+    generate: async () => {
+      const response =
+        responses[Math.min(provider.calls, responses.length - 1)];
+      provider.calls++;
+      if (response instanceof Error) throw response;
+      return response;
+    },
+  };
+
+  return provider;
+}
+
+/**
+ * @param {import('node:test').TestContext} t
+ */
+function createBreaker(t) {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+
+  return {
+    breaker: createCircuitBreaker({
+      store: createMemoryStateStore(),
+      key: 'stub',
+      failureThreshold: 2,
+      coolDownSeconds: 60,
+      trialTimeoutMs: 10_000,
+    }),
+    /** @param {number} ms */
+    advance: (ms) => {
+      now += ms;
+    },
+  };
+}
+
+const serverError = () =>
+  new AIError('Server error', AI_ERROR_CATEGORIES.PROVIDER, {status: 500});
+
+describe('createCircuitBreaker', () => {
+  it('opens after the failure threshold until the cool-down ends', async (t) => {
+    const {breaker, advance} = createBreaker(t);
+
+    await breaker.recordFailure();
+    assert.equal(await breaker.acquire(), 0);
+    await breaker.recordFailure();
+    assert.equal(await breaker.acquire(), 60);
+
+    advance(59_000);
+    assert.equal(await breaker.acquire(), 1);
+  });
+
+  it('lets one trial call through after the cool-down', async (t) => {
+    const {breaker, advance} = createBreaker(t);
+
+    await breaker.recordFailure();
+    await breaker.recordFailure();
+    advance(60_000);
+
+    assert.equal(await breaker.acquire(), 0);
+    assert.equal(await breaker.acquire(), 10);
+  });
+
+  it('closes when the trial call succeeds', async (t) => {
+    const {breaker, advance} = createBreaker(t);
+
+    await breaker.recordFailure();
+    await breaker.recordFailure();
+    advance(60_000);
+    await breaker.acquire();
+    await breaker.recordSuccess();
+
+    assert.equal(await breaker.acquire(), 0);
+    assert.equal(await breaker.acquire(), 0);
+  });
+
+  it('reopens when the trial call fails', async (t) => {
+    const {breaker, advance} = createBreaker(t);
+
+    await breaker.recordFailure();
+    await breaker.recordFailure();
+    advance(60_000);
+    await breaker.acquire();
+    await breaker.recordFailure();
+
+    assert.equal(await breaker.acquire(), 60);
+  });
+
+  it('lets another trial call through when one never finishes', async (t) => {
+    const {breaker, advance} = createBreaker(t);
+
+    await breaker.recordFailure();
+    await breaker.recordFailure();
+    advance(60_000);
+    await breaker.acquire();
+    advance(10_000);
+
+    assert.equal(await breaker.acquire(), 0);
+  });
+});
+
+describe('withResilience', () => {
+  /**
+   * @param {import('node:test').TestContext} t
+   * @param {unknown[]} responses
+   * @param {Partial<import('~/lib/aiResilience').ResilienceOptions>} [options]
+   */
+  const run = (t, responses, options = {}) => {
+    // No backoff delay between retries
+    t.mock.method(Math, 'random', () => 0);
+    const provider = createProvider(responses);
+    const resilient = withResilience(/** @type {any} */ (provider), {
+      timeoutMs: 1000,
+      maxRetries: 2,
+      ...options,
+    });
+
+    return {provider, result: resilient.generate({prompt: 'Hi'})};
+  };
+
+  it('retries 429 and 5xx responses', async (t) => {
+    const {provider, result} = run(t, [
+      new AIError('Slow down', AI_ERROR_CATEGORIES.QUOTA, {status: 429}),
+      serverError(),
+      'ok',
+    ]);
+
+    assert.equal(await result, 'ok');
+    assert.equal(provider.calls, 3);
+  });
+
+  it('gives up after the last retry', async (t) => {
+    const {provider, result} = run(t, [serverError()]);
+
+    await assert.rejects(result, {status: 500});
+    assert.equal(provider.calls, 3);
+  });
+
+  it("doesn't retry other errors", async (t) => {
+    for (const error of [
+      new AIError('Bad request', AI_ERROR_CATEGORIES.PROVIDER, {status: 400}),
+      new AIError('Not JSON', AI_ERROR_CATEGORIES.PARSE),
+      new AIError('Timed out', AI_ERROR_CATEGORIES.TIMEOUT),
+    ]) {
+      const {provider, result} = run(t, [error, 'ok']);
+
+      await assert.rejects(result, {category: error.category});
+      assert.equal(provider.calls, 1);
+    }
+  });
+
+  it('fails fast while the circuit is open', async (t) => {
+    const {breaker} = createBreaker(t);
+    await breaker.recordFailure();
+    await breaker.recordFailure();
+
+    const {provider, result} = run(t, ['ok'], {circuitBreaker: breaker});
+
+    await assert.rejects(result, {category: AI_ERROR_CATEGORIES.CIRCUIT_OPEN});
+    assert.equal(provider.calls, 0);
+  });
+
+  it('records the outcome of a call once its retries are done', async (t) => {
+    const {breaker, advance} = createBreaker(t);
+    await breaker.recordFailure();
+    await breaker.recordFailure();
+    advance(60_000);
+
+    const failed = run(t, [serverError()], {circuitBreaker: breaker});
+    await assert.rejects(failed.result);
+    assert.equal(failed.provider.calls, 3);
+    assert.equal(await breaker.acquire(), 60);
+
+    advance(60_000);
+    const succeeded = run(t, ['ok'], {circuitBreaker: breaker});
+    assert.equal(await succeeded.result, 'ok');
+    assert.equal(await breaker.acquire(), 0);
+  });
+});
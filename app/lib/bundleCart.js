@@ -0,0 +1,337 @@
+import {
+  BUNDLE_DISCOUNT_CODES_ATTRIBUTE,
+  getBundleDiscountCodes,
+  getBundleRule,
+  getPartialBundleRule,
+  getBundleSelection,
+} from '~/lib/bundlePricing';
+import {
+  BUNDLE_AVAILABILITY,
+  getBundleAvailability,
+  getBundleItems,
+} from '~/lib/bundles';
+import {getFieldValues} from '~/lib/metaobjects';
+
+/**
+ * Applies bundle discounts in the cart. Each bundle metaobject can name a
+ * `discount_code`, a Shopify discount configured with the bundle's savings.
+ * After every cart change the bundles in the cart are checked against their
+ * metaobjects: the codes of complete bundles are applied, the codes of
+ * bundles broken by removing or changing a line are removed. Bundles with
+ * sold-out products are complete under their availability behaviour (see
+ * `BUNDLE_AVAILABILITY`), except partial bundles without a percentage
+ * discount, see `getPartialBundleRule`.
+ *
+ * The codes applied this way are remembered in a cart attribute by bundle id
+ * (see `BUNDLE_DISCOUNT_CODES_ATTRIBUTE`), so codes the shopper entered
+ * themselves are never touched and the cart only shows the savings of
+ * complete bundles.
+ */
+
+/**
+ * Brings the cart's bundle discount codes in line with the complete bundles
+ * it contains. Carts without bundle lines or bundle codes are skipped
+ * without querying the full cart.
+ * @param {Pick<HydrogenRouterContextProvider, 'cart' | 'storefront'>} context
+ * @param {CartApiMutationFragment} mutatedCart The cart returned by the
+ * mutation that changed it
+ * @returns {Promise<CartQueryDataReturn | null>} The updated cart mutation
+ * result, or null when nothing changed
+ */
+export async function syncBundleDiscounts({cart, storefront}, mutatedCart) {
+  const hasBundleLines = mutatedCart.lines?.nodes.some((line) =>
+    getAttribute(line, 'bundleId'),
+  );
+  if (
+    !hasBundleLines &&
+    !Object.keys(getBundleDiscountCodes(mutatedCart)).length
+  ) {
+    return null;
+  }
+
+  const cartData = await cart.get();
+  if (!cartData) return null;
+
+  const lines = cartData.lines?.nodes ?? [];
+  const bundleIds = [
+    ...new Set(lines.map((line) => getAttribute(line, 'bundleId'))),
+  ].filter(Boolean);
+
+  const bundles = await queryBundles(storefront, bundleIds);
+
+  /** @type {Record<string, string>} */
+  const codesByBundle = {};
+  for (const bundle of bundles) {
+    const code = bundle.discountCode?.value?.trim().toUpperCase();
+    if (code && isCompleteBundle(bundle, lines)) {
+      codesByBundle[bundle.id] = code;
+    }
+  }
+  const previousCodesByBundle = getBundleDiscountCodes(cartData);
+
+  const bundleCodes = new Set(Object.values(codesByBundle));
+  const previousBundleCodes = new Set(Object.values(previousCodesByBundle));
+
+  const currentCodes = (cartData.discountCodes ?? []).map(({code}) =>
+    code.toUpperCase(),
+  );
+  const nextCodes = [
+    ...new Set([
+      ...currentCodes.filter((code) => !previousBundleCodes.has(code)),
+      ...bundleCodes,
+    ]),
+  ];
+
+  if (
+    sameCodes(nextCodes, currentCodes) &&
+    sameCodes(
+      Object.entries(codesByBundle).map((entry) => entry.join(':')),
+      Object.entries(previousCodesByBundle).map((entry) => entry.join(':')),
+    )
+  ) {
+    return null;
+  }
+
+  await cart.updateAttributes([
+    ...(cartData.attributes ?? []).filter(
+      ({key}) => key !== BUNDLE_DISCOUNT_CODES_ATTRIBUTE,
+    ),
+    {
+      key: BUNDLE_DISCOUNT_CODES_ATTRIBUTE,
+      value: JSON.stringify(codesByBundle),
+    },
+  ]);
+
+  return cart.updateDiscountCodes(nextCodes);
+}
+
+/**
+ * Re-checks the availability of bundle lines about to be added, since the
+ * bundle page may be stale. Sold-out lines are left out of `partial`
+ * bundles; any other bundle with a sold-out line is not added at all.
+ * @template {CartLineInput} Line
+ * @param {Pick<HydrogenRouterContextProvider, 'storefront'>} context
+ * @param {Line[]} lines
+ * @returns {Promise<{lines: Line[]; warnings: BundleWarning[]}>}
+ */
+export async function checkBundleLines({storefront}, lines) {
+  const bundleIds = [
+    ...new Set(lines.map((line) => getAttribute(line, 'bundleId'))),
+  ].filter(Boolean);
+  if (!bundleIds.length) return {lines, warnings: []};
+
+  const [bundles, {nodes: variants}] = await Promise.all([
+    queryBundles(storefront, bundleIds),
+    storefront.query(BUNDLE_VARIANTS_AVAILABILITY_QUERY, {
+      cache: storefront.CacheNone(),
+      variables: {ids: lines.map((line) => line.merchandiseId)},
+    }),
+  ]);
+  const variantsById = new Map(
+    variants.filter(Boolean).map((variant) => [variant.id, variant]),
+  );
+  const isAvailable = (/** @type {Line} */ line) =>
+    Boolean(variantsById.get(line.merchandiseId)?.availableForSale);
+
+  /** @type {BundleWarning[]} */
+  const warnings = [];
+  const removed = new Set();
+
+  for (const bundleId of bundleIds) {
+    const bundleLines = lines.filter(
+      (line) => getAttribute(line, 'bundleId') === bundleId,
+    );
+    const soldOut = bundleLines.filter((line) => !isAvailable(line));
+    if (!soldOut.length) continue;
+
+    const bundle = bundles.find(({id}) => id === bundleId);
+    const title = getAttribute(bundleLines[0], 'bundleTitle') ?? 'this bundle';
+    const fields = bundle ? getFieldValues(bundle.fields) : {};
+    const isPartial =
+      bundle &&
+      getBundleAvailability(fields) === BUNDLE_AVAILABILITY.PARTIAL &&
+      soldOut.length < bundleLines.length;
+    const keepsDiscount =
+      getPartialBundleRule(getBundleRule(fields)).type !== null;
+
+    for (const line of isPartial ? soldOut : bundleLines) removed.add(line);
+    warnings.push({
+      code: 'BUNDLE_ITEMS_SOLD_OUT',
+      message: !isPartial
+        ? `Some items in ${title} sold out, so it wasn't added to the cart.`
+        : keepsDiscount
+          ? `Some items in ${title} sold out and were left out.`
+          : `Some items in ${title} sold out and were left out, so the bundle discount doesn't apply.`,
+      target: bundleId,
+    });
+  }
+
+  return {
+    lines: lines.filter((line) => !removed.has(line)),
+    warnings,
+  };
+}
+
+/**
+ * A bundle is complete when its lines hold enough distinct bundle products
+ * and none of its lines holds a product from outside the bundle. Bundles
+ * sold whole need every product, or its substitute when sold out, except
+ * for the sold-out products of a partial bundle with a percentage discount.
+ * Build-your-own bundles
+ * need the picked count.
+ * @param {CartBundleFragment} bundle
+ * @param {CartLine[]} lines
+ */
+function isCompleteBundle(bundle, lines) {
+  const bundleLines = lines.filter(
+    (line) => getAttribute(line, 'bundleId') === bundle.id,
+  );
+  const products = bundle.products?.references?.nodes ?? [];
+  const substitutes = bundle.substitutes?.references?.nodes ?? [];
+  const allowedIds = new Set(
+    [...products, ...substitutes].map((product) => product.id),
+  );
+  const lineProductIds = new Set(
+    bundleLines.map((line) => line.merchandise.product.id),
+  );
+
+  if (
+    !products.length ||
+    [...lineProductIds].some((id) => !allowedIds.has(id))
+  ) {
+    return false;
+  }
+
+  const fields = getFieldValues(bundle.fields);
+  const rule = getBundleRule(fields);
+  const selection = getBundleSelection(rule, products.length);
+
+  if (selection.isBuilder) {
+    return (
+      lineProductIds.size >= selection.min &&
+      lineProductIds.size <= selection.max
+    );
+  }
+
+  const items = getBundleItems({
+    products,
+    substitutes,
+    availability: getBundleAvailability(fields),
+    isAvailable: (product) => product.availableForSale,
+  });
+
+  // Only a percentage discount carries over to a partial bundle
+  const canOmit = getPartialBundleRule(rule).type !== null;
+
+  return items.every(
+    ({product, status, substitute}) =>
+      (status === 'omitted' && canOmit) ||
+      lineProductIds.has(product.id) ||
+      (substitute !== null && lineProductIds.has(substitute.id)),
+  );
+}
+
+/**
+ * @param {Storefront} storefront
+ * @param {string[]} ids Bundle metaobject ids
+ */
+async function queryBundles(storefront, ids) {
+  if (!ids.length) return [];
+
+  const {nodes} = await storefront.query(CART_BUNDLES_QUERY, {
+    cache: storefront.CacheShort(),
+    variables: {ids},
+  });
+
+  return nodes.filter((node) => node?.__typename === 'Metaobject');
+}
+
+/**
+ * @param {{attributes?: Array<{key: string; value?: string | null}>}} item
+ * @param {string} key
+ */
+function getAttribute(item, key) {
+  return item.attributes?.find((attribute) => attribute.key === key)?.value;
+}
+
+/**
+ * @param {string[]} a
+ * @param {string[]} b
+ */
+function sameCodes(a, b) {
+  return a.length === b.length && a.every((code) => b.includes(code));
+}
+
+const CART_BUNDLES_QUERY = `#graphql
+  query CartBundles(
+    $country: CountryCode
+    $ids: [ID!]!
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    nodes(ids: $ids) {
+      __typename
+      ...CartBundle
+    }
+  }
+  fragment CartBundle on Metaobject {
+    id
+    type
+    discountCode: field(key: "discount_code") {
+      value
+    }
+    products: field(key: "products") {
+      references(first: 20) {
+        nodes {
+          ... on Product {
+            id
+            availableForSale
+          }
+        }
+      }
+    }
+    substitutes: field(key: "substitutes") {
+      references(first: 10) {
+        nodes {
+          ... on Product {
+            id
+            availableForSale
+          }
+        }
+      }
+    }
+    fields {
+      key
+      value
+    }
+  }
+`;
+
+const BUNDLE_VARIANTS_AVAILABILITY_QUERY = `#graphql
+  query BundleVariantsAvailability(
+    $country: CountryCode
+    $ids: [ID!]!
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        availableForSale
+      }
+    }
+  }
+`;
+
+/**
+ * @typedef {Object} BundleWarning
+ * @property {string} code
+ * @property {string} message
+ * @property {string} target Bundle metaobject id
+ */
+
+/** @typedef {import('@shopify/hydrogen').HydrogenRouterContextProvider} HydrogenRouterContextProvider */
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('@shopify/hydrogen').CartQueryDataReturn} CartQueryDataReturn */
+/** @typedef {import('storefrontapi.generated').CartApiMutationFragment} CartApiMutationFragment */
+/** @typedef {import('storefrontapi.generated').CartBundleFragment} CartBundleFragment */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').CartLineInput} CartLineInput */
+/** @typedef {import('storefrontapi.generated').CartApiQueryFragment['lines']['nodes'][number]} CartLine */
@@ -0,0 +1,171 @@
+import {BUNDLE_TYPES} from '~/lib/bundlePricing';
+
+/**
+ * Search param names of the bundle listing filters and sort order
+ */
+export const BUNDLE_FILTER_FIELDS = {
+  TYPE: 'type',
+  MIN_PRICE: 'min_price',
+  MAX_PRICE: 'max_price',
+  COLLECTION: 'collection',
+  SORT: 'sort',
+};
+
+/** Filter value for bundles without a discount type */
+export const CUSTOM_BUNDLE_TYPE = 'custom';
+
+export const BUNDLE_SORT_OPTIONS = {
+  FEATURED: 'featured',
+  SAVINGS: 'savings',
+  PRICE_ASC: 'price-asc',
+  PRICE_DESC: 'price-desc',
+};
+
+/**
+ * Parses the bundle listing filters from URLSearchParams, ignoring invalid
+ * values.
+ * @example
+ * const url = new URL('https://example.com/bundles?type=tiered&max_price=50');
+ * parseBundleFilters(url.searchParams) // returns \{ type: 'tiered', maxPrice: 50, sort: 'featured' \}
+ * @param {URLSearchParams} searchParams
+ * @returns {BundleFilterParams}
+ */
+export function parseBundleFilters(searchParams) {
+  /** @type {BundleFilterParams} */
+  const filters = {sort: BUNDLE_SORT_OPTIONS.FEATURED};
+
+  const type = searchParams.get(BUNDLE_FILTER_FIELDS.TYPE);
+  if (
+    type === CUSTOM_BUNDLE_TYPE ||
+    Object.values(BUNDLE_TYPES).includes(type)
+  ) {
+    filters.type = type;
+  }
+
+  const minPrice = parsePrice(searchParams.get(BUNDLE_FILTER_FIELDS.MIN_PRICE));
+  if (minPrice !== null) filters.minPrice = minPrice;
+
+  const maxPrice = parsePrice(searchParams.get(BUNDLE_FILTER_FIELDS.MAX_PRICE));
+  if (maxPrice !== null) filters.maxPrice = maxPrice;
+
+  const collection = searchParams.get(BUNDLE_FILTER_FIELDS.COLLECTION)?.trim();
+  if (collection) filters.collection = collection;
+
+  const sort = searchParams.get(BUNDLE_FILTER_FIELDS.SORT);
+  if (Object.values(BUNDLE_SORT_OPTIONS).includes(sort)) filters.sort = sort;
+
+  return filters;
+}
+
+/**
+ * Whether any filter narrows the listing; the sort order doesn't.
+ * @param {BundleFilterParams} filters
+ */
+export function hasBundleFilters(filters) {
+  return Boolean(
+    filters.type ||
+      filters.minPrice !== undefined ||
+      filters.maxPrice !== undefined ||
+      filters.collection,
+  );
+}
+
+/**
+ * Filters and sorts bundle listing entries. Featured keeps the given order.
+ * @template {BundleListingEntry} Entry
+ * @param {Entry[]} bundles
+ * @param {BundleFilterParams} filters
+ * @returns {Entry[]}
+ */
+export function filterBundles(bundles, filters) {
+  const filtered = bundles.filter(
+    (bundle) =>
+      (!filters.type || (bundle.type ?? CUSTOM_BUNDLE_TYPE) === filters.type) &&
+      (filters.minPrice === undefined || bundle.price >= filters.minPrice) &&
+      (filters.maxPrice === undefined || bundle.price <= filters.maxPrice) &&
+      (!filters.collection ||
+        bundle.collections.some(({handle}) => handle === filters.collection)),
+  );
+
+  switch (filters.sort) {
+    case BUNDLE_SORT_OPTIONS.SAVINGS:
+      return filtered.sort((a, b) => b.savings - a.savings);
+    case BUNDLE_SORT_OPTIONS.PRICE_ASC:
+      return filtered.sort((a, b) => a.price - b.price);
+    case BUNDLE_SORT_OPTIONS.PRICE_DESC:
+      return filtered.sort((a, b) => b.price - a.price);
+    default:
+      return filtered;
+  }
+}
+
+/**
+ * One page of already filtered bundles as a connection for
+ * `PaginatedResourceSection`, with bundle handles as cursors. Takes the
+ * variables of `getPaginationVariables`.
+ * @template {{handle: string}} Entry
+ * @param {Entry[]} bundles
+ * @param {{
+ *   first?: number;
+ *   last?: number;
+ *   startCursor?: string | null;
+ *   endCursor?: string | null;
+ * }} variables
+ */
+export function paginateBundles(bundles, variables) {
+  /** @param {string | null | undefined} cursor */
+  const indexOf = (cursor) =>
+    cursor ? bundles.findIndex(({handle}) => handle === cursor) : -1;
+
+  let start;
+  let end;
+  if (variables.last) {
+    const cursorIndex = indexOf(variables.startCursor);
+    end = cursorIndex === -1 ? bundles.length : cursorIndex;
+    start = Math.max(0, end - variables.last);
+  } else {
+    start = indexOf(variables.endCursor) + 1;
+    end = start + (variables.first ?? bundles.length);
+  }
+
+  const nodes = bundles.slice(start, end);
+
+  return {
+    nodes,
+    pageInfo: {
+      hasPreviousPage: start > 0,
+      hasNextPage: end < bundles.length,
+      startCursor: nodes[0]?.handle ?? null,
+      endCursor: nodes.at(-1)?.handle ?? null,
+    },
+  };
+}
+
+/**
+ * @param {string | null} value
+ * @returns {number | null}
+ */
+function parsePrice(value) {
+  if (!value) return null;
+  const price = Number.parseFloat(value);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+}
+
+/**
+ * @typedef {Object} BundleFilterParams
+ * @property {string} [type] One of `BUNDLE_TYPES` or `CUSTOM_BUNDLE_TYPE`
+ * @property {number} [minPrice] Bundle price, in the market's currency
+ * @property {number} [maxPrice]
+ * @property {string} [collection] Handle of a collection the bundle has a
+ * product from
+ * @property {string} sort One of `BUNDLE_SORT_OPTIONS`
+ */
+/**
+ * @typedef {{
+ *   handle: string;
+ *   type: string | null;
+ *   price: number;
+ *   savings: number;
+ *   collections: Array<{handle: string}>;
+ * }} BundleListingEntry
+ */
@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {
+  BUNDLE_SORT_OPTIONS,
+  filterBundles,
+  hasBundleFilters,
+  paginateBundles,
+  parseBundleFilters,
+} from '~/lib/bundleFilters';
+
+const bundles = [
+  {handle: 'a', type: 'percentage', price: 40, savings: 5, collections: []},
+  {
+    handle: 'b',
+    type: null,
+    price: 25,
+    savings: 0,
+    collections: [{handle: 'winter'}],
+  },
+  {
+    handle: 'c',
+    type: 'fixed_price',
+    price: 60,
+    savings: 15,
+    collections: [{handle: 'winter'}, {handle: 'outdoor'}],
+  },
+];
+
+/**
+ * @param {string} search
+ */
+const parse = (search) => parseBundleFilters(new URLSearchParams(search));
+
+describe('parseBundleFilters', () => {
+  it('reads valid filters', () => {
+    assert.deepEqual(
+      parse('type=tiered&min_price=10&max_price=50.5&collection=%20winter%20'),
+      {
+        type: 'tiered',
+        minPrice: 10,
+        maxPrice: 50.5,
+        collection: 'winter',
+        sort: BUNDLE_SORT_OPTIONS.FEATURED,
+      },
+    );
+  });
+
+  it('ignores invalid values', () => {
+    assert.deepEqual(
+      parse('type=half_off&min_price=-1&max_price=abc&collection=&sort=name'),
+      {sort: BUNDLE_SORT_OPTIONS.FEATURED},
+    );
+  });
+
+  it("doesn't count the sort order as a filter", () => {
+    assert.equal(hasBundleFilters(parse('sort=savings')), false);
+    assert.equal(hasBundleFilters(parse('min_price=0')), true);
+  });
+});
+
+describe('filterBundles', () => {
+  /**
+   * @param {string} search
+   */
+  const handles = (search) =>
+    filterBundles(bundles, parse(search)).map(({handle}) => handle);
+
+  it('filters by type, with custom for bundles without one', () => {
+    assert.deepEqual(handles('type=fixed_price'), ['c']);
+    assert.deepEqual(handles('type=custom'), ['b']);
+  });
+
+  it('filters by price range, inclusive', () => {
+    assert.deepEqual(handles('min_price=25&max_price=40'), ['a', 'b']);
+  });
+
+  it('filters by collection', () => {
+    assert.deepEqual(handles('collection=winter'), ['b', 'c']);
+  });
+
+  it('sorts', () => {
+    assert.deepEqual(handles(''), ['a', 'b', 'c']);
+    assert.deepEqual(handles('sort=savings'), ['c', 'a', 'b']);
+    assert.deepEqual(handles('sort=price-asc'), ['b', 'a', 'c']);
+    assert.deepEqual(handles('sort=price-desc'), ['c', 'a', 'b']);
+  });
+
+  it("doesn't reorder the given list", () => {
+    filterBundles(bundles, parse('sort=price-asc'));
+
+    assert.deepEqual(
+      bundles.map(({handle}) => handle),
+      ['a', 'b', 'c'],
+    );
+  });
+});
+
+describe('paginateBundles', () => {
+  it('pages forward after the end cursor', () => {
+    const first = paginateBundles(bundles, {first: 2});
+    const second = paginateBundles(bundles, {
+      first: 2,
+      endCursor: first.pageInfo.endCursor,
+    });
+
+    assert.deepEqual(
+      first.nodes.map(({handle}) => handle),
+      ['a', 'b'],
+    );
+    assert.deepEqual(first.pageInfo, {
+      hasPreviousPage: false,
+      hasNextPage: true,
+      startCursor: 'a',
+      endCursor: 'b',
+    });
+    assert.deepEqual(
+      second.nodes.map(({handle}) => handle),
+      ['c'],
+    );
+    assert.equal(second.pageInfo.hasNextPage, false);
+    assert.equal(second.pageInfo.hasPreviousPage, true);
+  });
+
+  it('pages back before the start cursor', () => {
+    const page = paginateBundles(bundles, {last: 1, startCursor: 'c'});
+
+    assert.deepEqual(
+      page.nodes.map(({handle}) => handle),
+      ['b'],
+    );
+    assert.equal(page.pageInfo.hasPreviousPage, true);
+    assert.equal(page.pageInfo.hasNextPage, true);
+  });
+
+  it('returns an empty page for no bundles', () => {
+    assert.deepEqual(paginateBundles([], {first: 12}), {
+      nodes: [],
+      pageInfo: {
+        hasPreviousPage: false,
+        hasNextPage: false,
+        startCursor: null,
+        endCursor: null,
+      },
+    });
+  });
+});
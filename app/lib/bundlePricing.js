@@ -0,0 +1,615 @@
+/**
+ * Bundle pricing engine. A bundle's pricing rule is read from its metaobject
+ * fields once (`getBundleRule`) and the same rule prices the index cards and
+ * the detail page. The cart doesn't price bundles itself: it shows the
+ * savings of the bundle discount codes Shopify applied, see `groupCartLines`.
+ *
+ * Metaobject fields:
+ * - `bundle_type`: one of `BUNDLE_TYPES`.
+ * - `discount_value`: bundle price for `fixed_price`, in the shop's
+ *   currency, percent off for `percentage` and `mix_and_match`.
+ * - `market_prices`: JSON object of `fixed_price` bundle prices by country
+ *   code, in that market's currency, e.g. `{"CA": 59, "GB": 35}`. Only the
+ *   base market, priced in the shop's currency, falls back to
+ *   `discount_value`; elsewhere a bundle without an entry has no bundle price
+ *   and isn't discounted.
+ * - `tiers`: JSON list for `tiered`, e.g.
+ *   `[{"quantity": 3, "percentage": 10}, {"quantity": 5, "percentage": 20}]`.
+ * - `buy_quantity`, `get_quantity`, `get_discount`: `buy_x_get_y` charges the
+ *   cheapest `get_quantity` of every `buy_quantity + get_quantity` items at
+ *   `get_discount` percent off (default 100, free).
+ * - `min_items`, `max_items`: item counts the discount applies to. Required
+ *   picks for `mix_and_match`; `cheapest_free` needs at least 2 items.
+ */
+
+export const BUNDLE_TYPES = {
+  FIXED_PRICE: 'fixed_price',
+  PERCENTAGE: 'percentage',
+  TIERED: 'tiered',
+  BUY_X_GET_Y: 'buy_x_get_y',
+  CHEAPEST_FREE: 'cheapest_free',
+  MIX_AND_MATCH: 'mix_and_match',
+};
+
+/**
+ * Cart attribute mapping the ids of complete bundles to the discount code
+ * applied for them, see `syncBundleDiscounts`
+ */
+export const BUNDLE_DISCOUNT_CODES_ATTRIBUTE = '_bundleDiscountCodes';
+
+const BADGES = {
+  [BUNDLE_TYPES.FIXED_PRICE]: 'Flat Price',
+  [BUNDLE_TYPES.PERCENTAGE]: 'Smart Saver',
+  [BUNDLE_TYPES.TIERED]: 'Buy More, Save More',
+  [BUNDLE_TYPES.BUY_X_GET_Y]: 'Multi-Buy',
+  [BUNDLE_TYPES.CHEAPEST_FREE]: 'Cheapest Free',
+  [BUNDLE_TYPES.MIX_AND_MATCH]: 'Mix & Match',
+};
+
+/**
+ * Reads the pricing rule from a bundle's metaobject fields. Unknown types and
+ * incomplete rules give a rule without a type, which never discounts.
+ * @param {Record<string, string | undefined>} fields
+ * @param {{country?: string; isBaseMarket?: boolean}} [options] Market to
+ * read a `fixed_price` bundle's price for, and whether it's priced in the
+ * shop's currency. Without a country, the base market's price is read.
+ * @returns {BundleRule}
+ */
+export function getBundleRule(fields, {country, isBaseMarket = !country} = {}) {
+  const type = Object.values(BUNDLE_TYPES).includes(fields.bundle_type)
+    ? fields.bundle_type
+    : null;
+  const minItems = parseCount(fields.min_items);
+  const maxItems = parseCount(fields.max_items);
+  const marketPrice =
+    type === BUNDLE_TYPES.FIXED_PRICE && country
+      ? parseMarketPrice(fields.market_prices, country)
+      : null;
+
+  const rule = {
+    type,
+    discountValue: marketPrice ?? parseAmount(fields.discount_value),
+    tiers: parseTiers(fields.tiers),
+    buyQuantity: parseCount(fields.buy_quantity),
+    getQuantity: parseCount(fields.get_quantity),
+    getDiscount: Math.min(100, parseAmount(fields.get_discount) ?? 100),
+    minItems: minItems ?? (type === BUNDLE_TYPES.CHEAPEST_FREE ? 2 : 1),
+    maxItems: maxItems && maxItems >= (minItems ?? 1) ? maxItems : null,
+  };
+
+  if (!isComplete(rule)) return {...rule, type: null};
+
+  // The shop currency's amount is never reused in another currency
+  if (
+    type === BUNDLE_TYPES.FIXED_PRICE &&
+    marketPrice === null &&
+    !isBaseMarket
+  ) {
+    return {...rule, discountValue: null};
+  }
+
+  return rule;
+}
+
+/**
+ * Whether the rule has a bundle price in the shopper's market; a
+ * `fixed_price` bundle without a price for it is sold at the item prices.
+ * @param {BundleRule} rule
+ */
+export function hasBundlePrice(rule) {
+  return rule.type !== BUNDLE_TYPES.FIXED_PRICE || rule.discountValue !== null;
+}
+
+/**
+ * Prices the items of one bundle under `rule`. Item quantities count as
+ * separate items; a fixed price applies per complete set of the items.
+ * @param {BundleRule} rule
+ * @param {Array<{price: number; quantity?: number}>} items Unit prices
+ * @returns {BundlePricing}
+ */
+export function priceBundle(rule, items) {
+  const units = items.flatMap(({price, quantity = 1}) =>
+    Array.from({length: quantity}, () => (Number.isFinite(price) ? price : 0)),
+  );
+  const subtotal = roundAmount(sum(units));
+  const itemCount = units.length;
+  const eligible =
+    rule.type !== null &&
+    hasBundlePrice(rule) &&
+    itemCount >= rule.minItems &&
+    (rule.maxItems === null || itemCount <= rule.maxItems);
+
+  let savings = 0;
+  let percentage = null;
+  let tier = null;
+
+  if (eligible) {
+    switch (rule.type) {
+      case BUNDLE_TYPES.FIXED_PRICE: {
+        const sets = Math.min(...items.map(({quantity = 1}) => quantity));
+        const setPrice = sum(items.map(({price}) => price || 0));
+        savings = Math.max(0, setPrice - rule.discountValue) * sets;
+        break;
+      }
+      case BUNDLE_TYPES.PERCENTAGE:
+      case BUNDLE_TYPES.MIX_AND_MATCH:
+        percentage = rule.discountValue;
+        break;
+      case BUNDLE_TYPES.TIERED:
+        tier =
+          rule.tiers.findLast(({quantity}) => quantity <= itemCount) ?? null;
+        percentage = tier?.percentage ?? null;
+        break;
+      case BUNDLE_TYPES.BUY_X_GET_Y: {
+        const groups = Math.floor(
+          itemCount / (rule.buyQuantity + rule.getQuantity),
+        );
+        const discounted = cheapest(units, groups * rule.getQuantity);
+        savings = (sum(discounted) * rule.getDiscount) / 100;
+        break;
+      }
+      case BUNDLE_TYPES.CHEAPEST_FREE:
+        savings = sum(cheapest(units, 1));
+        break;
+    }
+  }
+
+  if (percentage !== null) {
+    savings = (subtotal * Math.min(100, percentage)) / 100;
+  }
+  savings = roundAmount(Math.min(savings, subtotal));
+
+  return {
+    subtotal,
+    bundlePrice: roundAmount(subtotal - savings),
+    savings,
+    savingsPercentage: savings > 0 ? percentage : null,
+    itemCount,
+    eligible,
+    tier,
+  };
+}
+
+/**
+ * The rule for a partial bundle, sold without some of its products. Only a
+ * percentage discount carries over, as the bundle's percentage code takes
+ * the same share off the remaining items at checkout; any other rule gives
+ * no discount, and the bundle's code isn't applied (see `syncBundleDiscounts`).
+ * @param {BundleRule} rule
+ * @returns {BundleRule}
+ */
+export function getPartialBundleRule(rule) {
+  return {
+    ...rule,
+    type: rule.type === BUNDLE_TYPES.PERCENTAGE ? rule.type : null,
+    minItems: 1,
+    maxItems: null,
+  };
+}
+
+/**
+ * How many items a shopper picks for a bundle. Mix-and-match bundles and
+ * bundles without a discount type ("build your own mix") let shoppers choose
+ * their items within the rule's min/max; any other bundle is sold whole.
+ * @param {BundleRule} rule
+ * @param {number} productCount Products listed in the bundle
+ * @returns {{isBuilder: boolean; min: number; max: number}}
+ */
+export function getBundleSelection(rule, productCount) {
+  const isBuilder =
+    rule.type === null || rule.type === BUNDLE_TYPES.MIX_AND_MATCH;
+  if (!isBuilder) {
+    return {isBuilder, min: productCount, max: productCount};
+  }
+
+  const max = Math.min(rule.maxItems ?? productCount, productCount);
+  return {isBuilder, min: Math.min(rule.minItems, max), max};
+}
+
+/**
+ * Shopper-facing description of a rule for bundle cards, which show the offer
+ * before any items are priced. A `fixed_price` bundle's price is returned as
+ * `price` for the caller to render in the shopper's currency.
+ * @param {BundleRule} rule
+ * @returns {BundleRuleDescription}
+ */
+export function describeBundleRule(rule) {
+  const {discountValue, minItems, maxItems} = rule;
+
+  switch (rule.type) {
+    case BUNDLE_TYPES.FIXED_PRICE:
+      return {
+        badge: BADGES[rule.type],
+        offer: null,
+        headline:
+          discountValue !== null
+            ? 'Bundle price'
+            : 'Bundle price not available in your region',
+        price: discountValue,
+      };
+    case BUNDLE_TYPES.PERCENTAGE:
+      return {
+        badge: BADGES[rule.type],
+        offer: `Save ${discountValue}%`,
+        headline: `Bundle & save ${discountValue}%`,
+        price: null,
+      };
+    case BUNDLE_TYPES.TIERED:
+      return {
+        badge: BADGES[rule.type],
+        offer: `Save up to ${rule.tiers.at(-1).percentage}%`,
+        headline: rule.tiers
+          .map(
+            ({quantity, percentage}) => `Buy ${quantity} save ${percentage}%`,
+          )
+          .join(' · '),
+        price: null,
+      };
+    case BUNDLE_TYPES.BUY_X_GET_Y: {
+      const reward =
+        rule.getDiscount === 100 ? 'free' : `${rule.getDiscount}% off`;
+      return {
+        badge: BADGES[rule.type],
+        offer: `Buy ${rule.buyQuantity} get ${rule.getQuantity} ${reward}`,
+        headline: `Buy ${rule.buyQuantity}, get ${rule.getQuantity} ${reward}`,
+        price: null,
+      };
+    }
+    case BUNDLE_TYPES.CHEAPEST_FREE:
+      return {
+        badge: BADGES[rule.type],
+        offer: 'Cheapest item free',
+        headline: `Buy ${minItems} or more, get the cheapest free`,
+        price: null,
+      };
+    case BUNDLE_TYPES.MIX_AND_MATCH:
+      return {
+        badge: BADGES[rule.type],
+        offer: `Save ${discountValue}%`,
+        headline: `Pick ${formatRange(minItems, maxItems)}, save ${discountValue}%`,
+        price: null,
+      };
+    default:
+      return {
+        badge: 'Custom Bundle',
+        offer: null,
+        headline: 'Build your own mix',
+        price: null,
+      };
+  }
+}
+
+/**
+ * An amount from this module as `MoneyV2`, for rendering with Hydrogen's
+ * `Money` in the currency of the prices it was calculated from.
+ * @param {number} amount
+ * @param {MoneyV2['currencyCode']} currencyCode
+ * @returns {MoneyV2}
+ */
+export function toMoney(amount, currencyCode) {
+  return {amount: String(amount), currencyCode};
+}
+
+/**
+ * Total savings of the bundles in a cart, see `groupCartLines`.
+ * @param {CartLike | null | undefined} cart
+ */
+export function getCartBundleSavings(cart) {
+  return roundAmount(
+    sum(
+      groupCartLines(cart?.lines?.nodes ?? [], cart).map((group) =>
+        group.type === 'bundle' ? (group.discount?.savings ?? 0) : 0,
+      ),
+    ),
+  );
+}
+
+/**
+ * The discount codes applied for the complete bundles in a cart, by bundle
+ * id, as recorded in `BUNDLE_DISCOUNT_CODES_ATTRIBUTE`.
+ * @param {{attributes?: CartLineLike['attributes']} | null | undefined} cart
+ * @returns {Record<string, string>}
+ */
+export function getBundleDiscountCodes(cart) {
+  const value = cart
+    ? getAttribute(cart, BUNDLE_DISCOUNT_CODES_ATTRIBUTE)
+    : null;
+
+  try {
+    const codes = JSON.parse(value ?? '{}');
+    if (!codes || typeof codes !== 'object' || Array.isArray(codes)) return {};
+
+    return Object.fromEntries(
+      Object.entries(codes).filter(([, code]) => typeof code === 'string'),
+    );
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Cart lines in display order, with the lines sharing a `bundleId` attribute
+ * collected into one bundle group at the position of its first line.
+ *
+ * A bundle's `discount` is what checkout charges, not what its rule promises:
+ * the bundle must be complete, so its code was applied for it (see
+ * `syncBundleDiscounts`), the code must be applicable, and the savings are
+ * the amounts the code allocated to the bundle's lines.
+ * @template {CartLineLike} Line
+ * @param {Array<Line>} lines
+ * @param {CartLike | null} [cart] Cart of the lines, with its attributes and
+ * discount codes
+ * @returns {Array<CartLineGroup<Line>>}
+ */
+export function groupCartLines(lines, cart = null) {
+  /** @type {Array<CartLineGroup<Line>>} */
+  const groups = [];
+  /** @type {Map<string, CartBundleGroup<Line>>} */
+  const bundles = new Map();
+
+  for (const line of lines) {
+    const bundleId = getAttribute(line, 'bundleId');
+    if (!bundleId) {
+      groups.push({type: 'line', line});
+      continue;
+    }
+
+    const bundle = bundles.get(bundleId);
+    if (bundle) {
+      bundle.lines.push(line);
+      continue;
+    }
+
+    /** @type {CartBundleGroup<Line>} */
+    const group = {
+      type: 'bundle',
+      bundleId,
+      title:
+        getAttribute(line, 'bundleTitle') ??
+        getAttribute(line, 'bundleHandle') ??
+        'Bundle',
+      lines: [line],
+      discount: null,
+    };
+    bundles.set(bundleId, group);
+    groups.push(group);
+  }
+
+  const bundleCodes = getBundleDiscountCodes(cart);
+  const applicableCodes = new Set(
+    (cart?.discountCodes ?? [])
+      .filter(({applicable}) => applicable)
+      .map(({code}) => code.toUpperCase()),
+  );
+
+  for (const bundle of bundles.values()) {
+    const code = bundleCodes[bundle.bundleId]?.toUpperCase();
+    if (!code || !applicableCodes.has(code)) continue;
+
+    const savings = roundAmount(
+      sum(
+        bundle.lines.flatMap((line) =>
+          (line.discountAllocations ?? [])
+            .filter((allocation) => allocation.code?.toUpperCase() === code)
+            .map((allocation) => Number(allocation.discountedAmount.amount)),
+        ),
+      ),
+    );
+    if (savings <= 0) continue;
+
+    bundle.discount = {
+      code,
+      subtotal: roundAmount(
+        sum(
+          bundle.lines.map(
+            (line) =>
+              Number(line.cost.amountPerQuantity.amount) * line.quantity,
+          ),
+        ),
+      ),
+      savings,
+    };
+  }
+
+  return groups;
+}
+
+/**
+ * @param {{attributes?: CartLineLike['attributes']}} line
+ * @param {string} key
+ */
+function getAttribute(line, key) {
+  return line.attributes?.find((attribute) => attribute.key === key)?.value;
+}
+
+/**
+ * @param {BundleRule} rule
+ */
+function isComplete(rule) {
+  switch (rule.type) {
+    case BUNDLE_TYPES.FIXED_PRICE:
+      return rule.discountValue !== null;
+    case BUNDLE_TYPES.PERCENTAGE:
+    case BUNDLE_TYPES.MIX_AND_MATCH:
+      return rule.discountValue !== null && rule.discountValue <= 100;
+    case BUNDLE_TYPES.TIERED:
+      return rule.tiers.length > 0;
+    case BUNDLE_TYPES.BUY_X_GET_Y:
+      return rule.buyQuantity !== null && rule.getQuantity !== null;
+    case BUNDLE_TYPES.CHEAPEST_FREE:
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * @param {string | undefined} value JSON object of prices by country code
+ * @param {string} country
+ * @returns {number | null}
+ */
+function parseMarketPrice(value, country) {
+  if (!value) return null;
+
+  try {
+    const prices = JSON.parse(value);
+    return prices && typeof prices === 'object'
+      ? parseAmount(String(prices[country.toUpperCase()]))
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string | undefined} value
+ * @returns {BundleTier[]} Sorted by quantity
+ */
+function parseTiers(value) {
+  if (!value) return [];
+
+  try {
+    const tiers = JSON.parse(value);
+    if (!Array.isArray(tiers)) return [];
+
+    return tiers
+      .map((tier) => ({
+        quantity: parseCount(String(tier?.quantity)),
+        percentage: parseAmount(String(tier?.percentage)),
+      }))
+      .filter(
+        ({quantity, percentage}) =>
+          quantity !== null && percentage !== null && percentage <= 100,
+      )
+      .sort((a, b) => a.quantity - b.quantity);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {string | undefined} value
+ * @returns {number | null} A positive integer, or null
+ */
+function parseCount(value) {
+  const count = Number.parseInt(value ?? '', 10);
+  return Number.isNaN(count) || count <= 0 ? null : count;
+}
+
+/**
+ * @param {string | undefined} value
+ * @returns {number | null} A non-negative number, or null
+ */
+function parseAmount(value) {
+  const amount = Number.parseFloat(value ?? '');
+  return Number.isNaN(amount) || amount < 0 ? null : amount;
+}
+
+/**
+ * @param {number[]} prices
+ * @param {number} count
+ */
+function cheapest(prices, count) {
+  return [...prices].sort((a, b) => a - b).slice(0, count);
+}
+
+/**
+ * @param {number} min
+ * @param {number | null} max
+ */
+function formatRange(min, max) {
+  if (max === null) return `${min} or more`;
+  return min === max ? String(min) : `${min}-${max}`;
+}
+
+/**
+ * @param {number[]} values
+ */
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * @param {number} amount
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * @typedef {Object} BundleRule
+ * @property {string | null} type One of `BUNDLE_TYPES`, null for bundles
+ * without a discount
+ * @property {number | null} discountValue Null for a `fixed_price` bundle
+ * without a price in the market
+ * @property {BundleTier[]} tiers Sorted by quantity
+ * @property {number | null} buyQuantity
+ * @property {number | null} getQuantity
+ * @property {number} getDiscount Percent off the "get" items
+ * @property {number} minItems
+ * @property {number | null} maxItems Null for no maximum
+ */
+/**
+ * @typedef {Object} BundleRuleDescription
+ * @property {string} badge
+ * @property {string | null} offer
+ * @property {string} headline
+ * @property {number | null} price Bundle price of a `fixed_price` rule, in
+ * the market's currency
+ */
+/**
+ * @typedef {Object} BundleTier
+ * @property {number} quantity Items needed for the tier
+ * @property {number} percentage Percent off the whole bundle
+ */
+/**
+ * @typedef {Object} BundlePricing
+ * @property {number} subtotal Sum of the item prices
+ * @property {number} bundlePrice
+ * @property {number} savings
+ * @property {number | null} savingsPercentage Percent saved, when the rule
+ * discounts by percentage
+ * @property {number} itemCount
+ * @property {boolean} eligible Whether the item count qualifies for the
+ * discount
+ * @property {BundleTier | null} tier Reached tier of a `tiered` bundle
+ */
+/**
+ * @typedef {{
+ *   quantity: number;
+ *   attributes?: Array<{key: string; value?: string | null}>;
+ *   cost: {amountPerQuantity: {amount: string}};
+ *   discountAllocations?: Array<{
+ *     code?: string;
+ *     discountedAmount: {amount: string};
+ *   }>;
+ * }} CartLineLike
+ */
+/**
+ * @typedef {{
+ *   attributes?: CartLineLike['attributes'];
+ *   discountCodes?: Array<{code: string; applicable: boolean}>;
+ *   lines?: {nodes: CartLineLike[]};
+ * }} CartLike
+ */
+/**
+ * @template {CartLineLike} Line
+ * @typedef {{type: 'line'; line: Line} | CartBundleGroup<Line>} CartLineGroup
+ */
+/**
+ * @template {CartLineLike} Line
+ * @typedef {Object} CartBundleGroup
+ * @property {'bundle'} type
+ * @property {string} bundleId
+ * @property {string} title
+ * @property {Line[]} lines
+ * @property {CartBundleDiscount | null} discount Null unless checkout
+ * discounts the bundle
+ */
+/**
+ * @typedef {Object} CartBundleDiscount
+ * @property {string} code
+ * @property {number} subtotal Sum of the line prices before the discount
+ * @property {number} savings Discount allocated to the bundle's lines
+ */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').MoneyV2} MoneyV2 */
@@ -0,0 +1,379 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {
+  BUNDLE_DISCOUNT_CODES_ATTRIBUTE,
+  BUNDLE_TYPES,
+  describeBundleRule,
+  getBundleDiscountCodes,
+  getBundleRule,
+  getBundleSelection,
+  getCartBundleSavings,
+  groupCartLines,
+  hasBundlePrice,
+  priceBundle,
+  getPartialBundleRule,
+} from '~/lib/bundlePricing';
+
+describe('getBundleRule', () => {
+  it('drops the type of unknown and incomplete rules', () => {
+    assert.equal(getBundleRule({bundle_type: 'half_off'}).type, null);
+    assert.equal(getBundleRule({bundle_type: 'percentage'}).type, null);
+    assert.equal(
+      getBundleRule({bundle_type: 'percentage', discount_value: '120'}).type,
+      null,
+    );
+    assert.equal(
+      getBundleRule({bundle_type: 'tiered', tiers: '{}'}).type,
+      null,
+    );
+  });
+
+  it('defaults cheapest_free bundles to two items', () => {
+    const rule = getBundleRule({bundle_type: 'cheapest_free'});
+
+    assert.equal(rule.type, BUNDLE_TYPES.CHEAPEST_FREE);
+    assert.equal(rule.minItems, 2);
+  });
+
+  it('ignores a maximum below the minimum', () => {
+    const rule = getBundleRule({
+      bundle_type: 'percentage',
+      discount_value: '10',
+      min_items: '3',
+      max_items: '2',
+    });
+
+    assert.equal(rule.maxItems, null);
+  });
+
+  it('sorts tiers and drops invalid ones', () => {
+    const rule = getBundleRule({
+      bundle_type: 'tiered',
+      tiers: JSON.stringify([
+        {quantity: 5, percentage: 20},
+        {quantity: 3, percentage: 10},
+        {quantity: 0, percentage: 5},
+        {quantity: 4, percentage: 150},
+      ]),
+    });
+
+    assert.deepEqual(rule.tiers, [
+      {quantity: 3, percentage: 10},
+      {quantity: 5, percentage: 20},
+    ]);
+  });
+
+  describe('fixed_price market prices', () => {
+    const fields = {
+      bundle_type: 'fixed_price',
+      discount_value: '50',
+      market_prices: '{"GB": 35}',
+    };
+
+    it('reads the price of the market', () => {
+      const rule = getBundleRule(fields, {country: 'gb', isBaseMarket: false});
+
+      assert.equal(rule.discountValue, 35);
+    });
+
+    it('falls back to discount_value in the base market', () => {
+      assert.equal(getBundleRule(fields).discountValue, 50);
+      assert.equal(
+        getBundleRule(fields, {country: 'US', isBaseMarket: true})
+          .discountValue,
+        50,
+      );
+    });
+
+    it('has no bundle price in other markets without an entry', () => {
+      const rule = getBundleRule(fields, {country: 'CA', isBaseMarket: false});
+      const pricing = priceBundle(rule, [{price: 40}, {price: 30}]);
+
+      assert.equal(rule.type, BUNDLE_TYPES.FIXED_PRICE);
+      assert.equal(rule.discountValue, null);
+      assert.equal(hasBundlePrice(rule), false);
+      assert.equal(pricing.eligible, false);
+      assert.equal(pricing.savings, 0);
+      assert.equal(pricing.bundlePrice, 70);
+      assert.equal(describeBundleRule(rule).price, null);
+    });
+
+    it("doesn't reuse discount_value when the market isn't known to be the base", () => {
+      assert.equal(getBundleRule(fields, {country: 'CA'}).discountValue, null);
+    });
+  });
+});
+
+describe('priceBundle', () => {
+  /**
+   * @param {Record<string, string>} fields
+   */
+  const rule = (fields) => getBundleRule(fields);
+
+  it('prices a fixed price per complete set', () => {
+    const pricing = priceBundle(
+      rule({bundle_type: 'fixed_price', discount_value: '50'}),
+      [
+        {price: 40, quantity: 2},
+        {price: 30, quantity: 2},
+      ],
+    );
+
+    assert.equal(pricing.subtotal, 140);
+    assert.equal(pricing.savings, 40);
+    assert.equal(pricing.bundlePrice, 100);
+  });
+
+  it('never saves more than the subtotal', () => {
+    const pricing = priceBundle(
+      rule({bundle_type: 'fixed_price', discount_value: '0'}),
+      [{price: 10}, {price: Number.NaN}],
+    );
+
+    assert.equal(pricing.savings, 10);
+    assert.equal(pricing.bundlePrice, 0);
+  });
+
+  it('takes a percentage off and reports it', () => {
+    const pricing = priceBundle(
+      rule({bundle_type: 'percentage', discount_value: '15'}),
+      [{price: 40}, {price: 60}],
+    );
+
+    assert.equal(pricing.savings, 15);
+    assert.equal(pricing.savingsPercentage, 15);
+  });
+
+  it('applies the highest tier reached', () => {
+    const tiered = rule({
+      bundle_type: 'tiered',
+      tiers:
+        '[{"quantity": 2, "percentage": 10}, {"quantity": 3, "percentage": 20}]',
+    });
+
+    assert.equal(priceBundle(tiered, [{price: 10}]).savings, 0);
+    assert.equal(priceBundle(tiered, [{price: 10, quantity: 2}]).savings, 2);
+    assert.deepEqual(priceBundle(tiered, [{price: 10, quantity: 4}]).tier, {
+      quantity: 3,
+      percentage: 20,
+    });
+  });
+
+  it('discounts the cheapest items of every buy_x_get_y group', () => {
+    const pricing = priceBundle(
+      rule({
+        bundle_type: 'buy_x_get_y',
+        buy_quantity: '2',
+        get_quantity: '1',
+        get_discount: '50',
+      }),
+      [{price: 30}, {price: 10}, {price: 20}, {price: 5}],
+    );
+
+    assert.equal(pricing.savings, 2.5);
+  });
+
+  it('makes the cheapest item free', () => {
+    const cheapestFree = rule({bundle_type: 'cheapest_free'});
+
+    assert.equal(priceBundle(cheapestFree, [{price: 30}]).eligible, false);
+    assert.equal(
+      priceBundle(cheapestFree, [{price: 30}, {price: 12}]).savings,
+      12,
+    );
+  });
+
+  it("doesn't discount outside the item limits", () => {
+    const limited = rule({
+      bundle_type: 'mix_and_match',
+      discount_value: '10',
+      min_items: '2',
+      max_items: '3',
+    });
+
+    assert.equal(priceBundle(limited, [{price: 10}]).eligible, false);
+    assert.equal(priceBundle(limited, [{price: 10, quantity: 4}]).savings, 0);
+    assert.equal(priceBundle(limited, [{price: 10, quantity: 3}]).savings, 3);
+  });
+
+  it("doesn't discount rules without a type", () => {
+    const pricing = priceBundle(rule({}), [{price: 10}, {price: 20}]);
+
+    assert.equal(pricing.eligible, false);
+    assert.equal(pricing.bundlePrice, 30);
+  });
+});
+
+describe('getPartialBundleRule', () => {
+  it('keeps a percentage discount for the remaining items', () => {
+    const partial = getPartialBundleRule(
+      getBundleRule({
+        bundle_type: 'percentage',
+        discount_value: '25',
+        min_items: '3',
+      }),
+    );
+
+    assert.equal(partial.type, BUNDLE_TYPES.PERCENTAGE);
+    assert.equal(priceBundle(partial, [{price: 60}]).savings, 15);
+  });
+
+  it('drops any other discount', () => {
+    const partial = getPartialBundleRule(
+      getBundleRule({bundle_type: 'fixed_price', discount_value: '75'}),
+    );
+
+    assert.equal(partial.type, null);
+    assert.equal(priceBundle(partial, [{price: 60}]).savings, 0);
+  });
+});
+
+describe('getBundleSelection', () => {
+  it('sells bundles with a fixed discount whole', () => {
+    const rule = getBundleRule({
+      bundle_type: 'percentage',
+      discount_value: '5',
+    });
+
+    assert.deepEqual(getBundleSelection(rule, 3), {
+      isBuilder: false,
+      min: 3,
+      max: 3,
+    });
+  });
+
+  it('lets shoppers pick mix-and-match items within the product count', () => {
+    const rule = getBundleRule({
+      bundle_type: 'mix_and_match',
+      discount_value: '10',
+      min_items: '4',
+      max_items: '6',
+    });
+
+    assert.deepEqual(getBundleSelection(rule, 3), {
+      isBuilder: true,
+      min: 3,
+      max: 3,
+    });
+  });
+});
+
+describe('groupCartLines', () => {
+  /**
+   * @param {string} id
+   * @param {number} price
+   * @param {Array<{code: string; amount: number}>} [allocations]
+   */
+  const line = (id, price, allocations = []) => ({
+    id,
+    quantity: 1,
+    attributes: [
+      {key: 'bundleId', value: 'gid://shopify/Metaobject/1'},
+      {key: 'bundleTitle', value: 'Winter kit'},
+    ],
+    cost: {amountPerQuantity: {amount: String(price)}},
+    discountAllocations: allocations.map(({code, amount}) => ({
+      code,
+      discountedAmount: {amount: String(amount)},
+    })),
+  });
+
+  /**
+   * @param {Array<ReturnType<typeof line>>} lines
+   * @param {{codes?: Record<string, string>; discountCodes?: Array<{code: string; applicable: boolean}>}} [options]
+   */
+  const cart = (lines, {codes = {}, discountCodes = []} = {}) => ({
+    attributes: [
+      {key: BUNDLE_DISCOUNT_CODES_ATTRIBUTE, value: JSON.stringify(codes)},
+    ],
+    discountCodes,
+    lines: {nodes: lines},
+  });
+
+  it('collects bundle lines at the position of the first one', () => {
+    const single = {
+      id: 'single',
+      quantity: 1,
+      cost: {amountPerQuantity: {amount: '5'}},
+    };
+    const groups = groupCartLines([line('a', 10), single, line('b', 20)]);
+
+    assert.deepEqual(
+      groups.map((group) => group.type),
+      ['bundle', 'line'],
+    );
+    assert.equal(groups[0].title, 'Winter kit');
+    assert.equal(groups[0].lines.length, 2);
+  });
+
+  it('shows the savings checkout allocates for the applied code', () => {
+    const lines = [
+      line('a', 40, [{code: 'bundle15', amount: 6}]),
+      line('b', 60, [
+        {code: 'BUNDLE15', amount: 9},
+        {code: 'SHOPPER', amount: 5},
+      ]),
+    ];
+    const withCode = cart(lines, {
+      codes: {'gid://shopify/Metaobject/1': 'BUNDLE15'},
+      discountCodes: [{code: 'Bundle15', applicable: true}],
+    });
+
+    assert.deepEqual(groupCartLines(lines, withCode)[0].discount, {
+      code: 'BUNDLE15',
+      subtotal: 100,
+      savings: 15,
+    });
+    assert.equal(getCartBundleSavings(withCode), 15);
+  });
+
+  it('shows no savings from the rule a line carries', () => {
+    // A partial bundle keeps its client-set rule but has no code applied
+    const lines = [line('a', 40)];
+
+    assert.equal(groupCartLines(lines, cart(lines))[0].discount, null);
+    assert.equal(getCartBundleSavings(cart(lines)), 0);
+  });
+
+  it("shows no savings while the bundle's code doesn't apply", () => {
+    const lines = [line('a', 40, [{code: 'BUNDLE15', amount: 6}])];
+    const notApplicable = cart(lines, {
+      codes: {'gid://shopify/Metaobject/1': 'BUNDLE15'},
+      discountCodes: [{code: 'BUNDLE15', applicable: false}],
+    });
+
+    assert.equal(getCartBundleSavings(notApplicable), 0);
+  });
+
+  it("ignores codes that aren't recorded for the bundle", () => {
+    const lines = [line('a', 40, [{code: 'SHOPPER', amount: 6}])];
+    const shopperCode = cart(lines, {
+      codes: {'gid://shopify/Metaobject/2': 'SHOPPER'},
+      discountCodes: [{code: 'SHOPPER', applicable: true}],
+    });
+
+    assert.equal(getCartBundleSavings(shopperCode), 0);
+  });
+});
+
+describe('getBundleDiscountCodes', () => {
+  /**
+   * @param {string} value
+   */
+  const withAttribute = (value) => ({
+    attributes: [{key: BUNDLE_DISCOUNT_CODES_ATTRIBUTE, value}],
+  });
+
+  it('reads the string codes by bundle id', () => {
+    assert.deepEqual(
+      getBundleDiscountCodes(withAttribute('{"a": "CODE", "b": 5}')),
+      {a: 'CODE'},
+    );
+  });
+
+  it('reads invalid values as no codes', () => {
+    assert.deepEqual(getBundleDiscountCodes(withAttribute('not json')), {});
+    assert.deepEqual(getBundleDiscountCodes(withAttribute('["CODE"]')), {});
+    assert.deepEqual(getBundleDiscountCodes(null), {});
+  });
+});
@@ -0,0 +1,342 @@
+import {
+  getBundleSelection,
+  priceBundle,
+  getPartialBundleRule,
+} from '~/lib/bundlePricing';
+import {toRichText} from '~/lib/metaobjects';
+
+/**
+ * Helpers for `bundle` metaobjects and the fields the bundle routes read.
+ * Pricing lives in `~/lib/bundlePricing`.
+ */
+
+/** Metaobject type of merchant-created bundles */
+export const BUNDLE_METAOBJECT_TYPE = 'bundle';
+
+/**
+ * What a bundle sold whole does when some of its products are sold out, set
+ * by its `unavailable_behavior` field: `block` the purchase (the default),
+ * sell the available products as a `partial` bundle (see
+ * `getPartialBundleRule` for its discount),
+ * or `substitute` sold-out products with products from the `substitutes`
+ * field.
+ */
+export const BUNDLE_AVAILABILITY = {
+  BLOCK: 'block',
+  PARTIAL: 'partial',
+  SUBSTITUTE: 'substitute',
+};
+
+/**
+ * @param {Record<string, unknown>} fields Bundle metaobject fields
+ * @returns {string} One of `BUNDLE_AVAILABILITY`
+ */
+export function getBundleAvailability(fields) {
+  const value = fields.unavailable_behavior;
+  return Object.values(BUNDLE_AVAILABILITY).includes(value)
+    ? value
+    : BUNDLE_AVAILABILITY.BLOCK;
+}
+
+/**
+ * The items of a bundle sold whole under its availability behaviour. A
+ * sold-out product is `substituted` by the next available substitute,
+ * `omitted` from a partial bundle, or stays `sold_out`, which blocks the
+ * purchase.
+ * @template {{id: string}} Product
+ * @param {{
+ *   products: Product[];
+ *   substitutes?: Product[];
+ *   availability: string;
+ *   isAvailable: (product: Product) => boolean;
+ * }}
+ * @returns {Array<BundleItem<Product>>}
+ */
+export function getBundleItems({
+  products,
+  substitutes = [],
+  availability,
+  isAvailable,
+}) {
+  const productIds = new Set(products.map((product) => product.id));
+  const unusedSubstitutes = substitutes.filter(
+    (substitute) => !productIds.has(substitute.id) && isAvailable(substitute),
+  );
+
+  return products.map((product) => {
+    if (isAvailable(product)) {
+      return {product, status: 'available', substitute: null};
+    }
+    if (availability === BUNDLE_AVAILABILITY.PARTIAL) {
+      return {product, status: 'omitted', substitute: null};
+    }
+
+    const substitute =
+      availability === BUNDLE_AVAILABILITY.SUBSTITUTE
+        ? (unusedSubstitutes.shift() ?? null)
+        : null;
+    return {
+      product,
+      status: substitute ? 'substituted' : 'sold_out',
+      substitute,
+    };
+  });
+}
+
+/**
+ * What buying a bundle sold whole comes down to under its availability
+ * behaviour: the products that go in the cart, the rule pricing them
+ * (see `getPartialBundleRule` when products are omitted) and their pricing.
+ * @template {{id: string}} Product
+ * @param {{
+ *   rule: BundleRule;
+ *   products: Product[];
+ *   substitutes?: Product[];
+ *   availability: string;
+ *   isAvailable: (product: Product) => boolean;
+ *   getPrice: (product: Product) => number;
+ * }}
+ * @returns {BundlePurchase<Product>}
+ */
+export function getBundlePurchase({
+  rule,
+  products,
+  substitutes,
+  availability,
+  isAvailable,
+  getPrice,
+}) {
+  const items = getBundleItems({
+    products,
+    substitutes,
+    availability,
+    isAvailable,
+  });
+  const purchased = items.flatMap(({product, status, substitute}) => {
+    if (status === 'available') return [product];
+    return substitute ? [substitute] : [];
+  });
+  const purchaseRule = items.some(({status}) => status === 'omitted')
+    ? getPartialBundleRule(rule)
+    : rule;
+
+  return {
+    items,
+    products: purchased,
+    rule: purchaseRule,
+    pricing: priceBundle(
+      purchaseRule,
+      purchased.map((product) => ({price: getPrice(product)})),
+    ),
+    isPurchasable:
+      purchased.length > 0 && items.every(({status}) => status !== 'sold_out'),
+  };
+}
+
+/**
+ * Path of a bundle page.
+ * @param {string} handle
+ * @param {string} [pathPrefix] Locale prefix, e.g. `/EN-CA`
+ */
+export function getBundleUrl(handle, pathPrefix = '') {
+  return `${pathPrefix}/bundles/${handle}`;
+}
+
+/**
+ * Product JSON-LD for a bundle page. Bundles sold whole get one `Offer` at
+ * the bundle price of the default variants, under the bundle's availability
+ * behaviour; build-your-own bundles get an `AggregateOffer` from the
+ * cheapest to the most expensive selection.
+ * @param {{
+ *   bundle: {
+ *     title: string;
+ *     description?: RichTextValue | null;
+ *     image?: {url: string} | null;
+ *   };
+ *   products: BundleJsonLdProduct[];
+ *   substitutes?: BundleJsonLdProduct[];
+ *   availability: string;
+ *   rule: BundleRule;
+ *   url: string;
+ * }}
+ */
+export function getBundleJsonLd({
+  bundle,
+  products,
+  substitutes,
+  availability,
+  rule,
+  url,
+}) {
+  const currencyCode = products[0]?.priceRange.minVariantPrice.currencyCode;
+  const selection = getBundleSelection(rule, products.length);
+  /** @param {BundleJsonLdProduct} product */
+  const isAvailable = (product) =>
+    Boolean(product.firstVariant?.availableForSale);
+  /** @param {BundleJsonLdProduct} product */
+  const getPrice = (product) =>
+    Number(
+      (product.firstVariant?.price ?? product.priceRange.minVariantPrice)
+        .amount,
+    );
+
+  let offers;
+  if (currencyCode && selection.isBuilder) {
+    const prices = products
+      .filter(isAvailable)
+      .map(getPrice)
+      .sort((a, b) => a - b);
+    /** @param {number[]} items */
+    const getBundlePrice = (items) =>
+      String(
+        priceBundle(
+          rule,
+          items.map((price) => ({price})),
+        ).bundlePrice,
+      );
+
+    offers = {
+      '@type': 'AggregateOffer',
+      lowPrice: getBundlePrice(prices.slice(0, selection.min)),
+      highPrice: getBundlePrice(prices.slice(-selection.max)),
+      priceCurrency: currencyCode,
+      offerCount: prices.length,
+      availability: getSchemaAvailability(prices.length >= selection.min),
+    };
+  } else if (currencyCode) {
+    const purchase = getBundlePurchase({
+      rule,
+      products,
+      substitutes,
+      availability,
+      isAvailable,
+      getPrice,
+    });
+
+    offers = {
+      '@type': 'Offer',
+      price: String(purchase.pricing.bundlePrice),
+      priceCurrency: currencyCode,
+      availability: getSchemaAvailability(purchase.isPurchasable),
+      url,
+    };
+  }
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: bundle.title,
+    description: bundle.description?.text || undefined,
+    image: bundle.image?.url,
+    url,
+    offers,
+  };
+}
+
+/**
+ * The `metaobjectCreate` inputs for suggested bundles, in the field format
+ * the bundle routes read: rich text description and a product list. Handles
+ * come from the titles, or the products for titles without latin letters or
+ * digits, and repeated handles get a numeric suffix.
+ * @param {BundleSuggestion[]} suggestions
+ * @param {Map<string, {id: string}>} productsByHandle
+ * @returns {BundleMetaobjectInput[]}
+ */
+export function toBundleMetaobjects(suggestions, productsByHandle) {
+  /** @type {Set<string>} */
+  const handles = new Set();
+
+  return suggestions.map((suggestion) => {
+    const baseHandle =
+      toHandle(suggestion.title) ||
+      toHandle(['bundle', ...suggestion.handles.slice(0, 2)].join(' '));
+    let handle = baseHandle;
+    for (let suffix = 2; handles.has(handle); suffix++) {
+      handle = `${baseHandle}-${suffix}`;
+    }
+    handles.add(handle);
+
+    return toBundleMetaobject(suggestion, handle, productsByHandle);
+  });
+}
+
+/**
+ * @param {BundleSuggestion} suggestion
+ * @param {string} handle
+ * @param {Map<string, {id: string}>} productsByHandle
+ * @returns {BundleMetaobjectInput}
+ */
+function toBundleMetaobject(suggestion, handle, productsByHandle) {
+  const productIds = suggestion.handles
+    .map((productHandle) => productsByHandle.get(productHandle)?.id)
+    .filter(Boolean);
+
+  return {
+    type: BUNDLE_METAOBJECT_TYPE,
+    handle,
+    fields: [
+      {key: 'title', value: suggestion.title},
+      {key: 'description', value: toRichText(suggestion.description)},
+      {key: 'bundle_type', value: suggestion.discountType},
+      {key: 'discount_value', value: String(suggestion.discountValue)},
+      {key: 'products', value: JSON.stringify(productIds)},
+    ],
+  };
+}
+
+/**
+ * @param {boolean} isAvailable
+ */
+function getSchemaAvailability(isAvailable) {
+  return `https://schema.org/${isAvailable ? 'InStock' : 'OutOfStock'}`;
+}
+
+/**
+ * @param {string} title
+ */
+function toHandle(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * @typedef {Object} BundleMetaobjectInput
+ * @property {string} type
+ * @property {string} handle
+ * @property {Array<{key: string; value: string}>} fields
+ */
+
+/**
+ * @template {{id: string}} Product
+ * @typedef {Object} BundleItem
+ * @property {Product} product
+ * @property {'available' | 'substituted' | 'omitted' | 'sold_out'} status
+ * @property {Product | null} substitute Sold with the bundle in place of a
+ * sold-out `product`
+ */
+/**
+ * @template {{id: string}} Product
+ * @typedef {Object} BundlePurchase
+ * @property {Array<BundleItem<Product>>} items
+ * @property {Product[]} products Products that go in the cart
+ * @property {BundleRule} rule Rule the cart lines carry
+ * @property {BundlePricing} pricing
+ * @property {boolean} isPurchasable
+ */
+/**
+ * @typedef {{
+ *   id: string;
+ *   firstVariant: {
+ *     availableForSale: boolean;
+ *     price: {amount: string};
+ *   } | null;
+ *   priceRange: {minVariantPrice: {amount: string; currencyCode: string}};
+ * }} BundleJsonLdProduct
+ */
+
+/** @typedef {import('~/lib/gemini').BundleSuggestion} BundleSuggestion */
+/** @typedef {import('~/lib/bundlePricing').BundleRule} BundleRule */
+/** @typedef {import('~/lib/bundlePricing').BundlePricing} BundlePricing */
+/** @typedef {import('~/lib/metaobjects').RichTextValue} RichTextValue */
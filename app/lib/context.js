@@ -1,7 +1,8 @@
-import {createHydrogenContext} from '@shopify/hydrogen';
+import {createHydrogenContext, createWithCache} from '@shopify/hydrogen';
 import {AppSession} from '~/lib/session';
-import {CART_QUERY_FRAGMENT} from '~/lib/fragments';
+import {CART_MUTATE_FRAGMENT, CART_QUERY_FRAGMENT} from '~/lib/fragments';
 import {getLocaleFromRequest} from '~/lib/i18n';
+import {createCacheStateStore} from '~/lib/stateStore';
 
 // Define the additional context object
 const additionalContext = {
@@ -37,6 +38,21 @@ export async function createHydrogenRouterContext(
     AppSession.init(request, [env.SESSION_SECRET]),
   ]);
 
+  /**
+   * Caches arbitrary async work (e.g. third-party API calls) in the same
+   * worker cache the Storefront client uses.
+   */
+  const withCache = createWithCache({cache, waitUntil, request});
+
+  /**
+   * Token buckets for rate-limited endpoints (see `~/lib/rateLimit`), circuit
+   * breaker state for the AI provider (see `~/lib/aiResilience`) and the
+   * semantic search index (see `~/lib/semanticSearch`).
+   */
+  const rateLimitStore = createCacheStateStore(cache, 'rate-limit');
+  const circuitBreakerStore = createCacheStateStore(cache, 'circuit-breaker');
+  const semanticIndexStore = createCacheStateStore(cache, 'semantic-search');
+
   const hydrogenContext = createHydrogenContext(
     {
       env,
@@ -48,9 +64,16 @@ export async function createHydrogenRouterContext(
       i18n: getLocaleFromRequest(request),
       cart: {
         queryFragment: CART_QUERY_FRAGMENT,
+        mutateFragment: CART_MUTATE_FRAGMENT,
       },
     },
-    additionalContext,
+    {
+      ...additionalContext,
+      withCache,
+      rateLimitStore,
+      circuitBreakerStore,
+      semanticIndexStore,
+    },
   );
 
   return hydrogenContext;
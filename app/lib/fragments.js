@@ -22,6 +22,14 @@ export const CART_QUERY_FRAGMENT = `#graphql
         ...Money
       }
     }
+    discountAllocations {
+      discountedAmount {
+        ...Money
+      }
+      ... on CartCodeDiscountAllocation {
+        code
+      }
+    }
     merchandise {
       ... on ProductVariant {
         id
@@ -73,6 +81,14 @@ export const CART_QUERY_FRAGMENT = `#graphql
         ...Money
       }
     }
+    discountAllocations {
+      discountedAmount {
+        ...Money
+      }
+      ... on CartCodeDiscountAllocation {
+        code
+      }
+    }
     merchandise {
       ... on ProductVariant {
         id
@@ -163,6 +179,28 @@ export const CART_QUERY_FRAGMENT = `#graphql
   }
 `;
 
+// Cart mutations also return the line attributes, so the cart route can tell
+// whether bundle discounts need syncing without querying the cart again
+export const CART_MUTATE_FRAGMENT = `#graphql
+  fragment CartApiMutation on Cart {
+    id
+    totalQuantity
+    checkoutUrl
+    attributes {
+      key
+      value
+    }
+    lines(first: 100) {
+      nodes {
+        attributes {
+          key
+          value
+        }
+      }
+    }
+  }
+`;
+
 const MENU_FRAGMENT = `#graphql
   fragment MenuItem on MenuItem {
     id
@@ -1,48 +1,128 @@
+import {
+  AI_ERROR_CATEGORIES,
+  AIError,
+  createGeminiProvider,
+} from '~/lib/aiProvider';
+
 /**
- * Gemini API utility functions for AI-powered product recommendations
+ * Gemini API utility functions for AI-powered product recommendations.
+ * The model call itself goes through a pluggable provider, see `~/lib/aiProvider`.
  */
 
+/** Number of candidate products listed in the recommendation prompt */
+const MAX_PROMPT_PRODUCTS = 20;
+const MAX_RECOMMENDATIONS = 6;
+const MAX_REASON_LENGTH = 140;
+/** Number of catalog products listed in the bundle suggestions prompt */
+const MAX_BUNDLE_PROMPT_PRODUCTS = 50;
+const MIN_BUNDLE_PRODUCTS = 2;
+const MAX_BUNDLE_PRODUCTS = 4;
+const MIN_BUNDLE_DISCOUNT_PERCENT = 5;
+const MAX_BUNDLE_DISCOUNT_PERCENT = 30;
+const MAX_BUNDLE_TITLE_LENGTH = 60;
+const MAX_BUNDLE_DESCRIPTION_LENGTH = 300;
+
 /**
- * Get AI-powered product recommendations from Gemini API
- * @param {string} apiKey - Gemini API key
+ * Response schema requested from the provider for recommendations
+ * @type {JsonSchema}
+ */
+export const RECOMMENDATIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    recommendations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          handle: {type: 'string'},
+          reason: {type: 'string'},
+          confidence: {type: 'number'},
+        },
+        required: ['handle', 'reason', 'confidence'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['recommendations'],
+  additionalProperties: false,
+};
+
+/**
+ * Response schema requested from the provider for assistant replies
+ * @type {JsonSchema}
+ */
+export const ASSISTANT_REPLY_SCHEMA = {
+  type: 'object',
+  properties: {
+    reply: {type: 'string'},
+    products: {type: 'array', items: {type: 'string'}},
+  },
+  required: ['reply', 'products'],
+  additionalProperties: false,
+};
+
+/**
+ * Response schema requested from the provider for bundle suggestions
+ * @type {JsonSchema}
+ */
+export const BUNDLE_SUGGESTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    bundles: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: {type: 'string'},
+          description: {type: 'string'},
+          handles: {type: 'array', items: {type: 'string'}},
+          discountType: {type: 'string', enum: ['percentage', 'fixed_price']},
+          discountValue: {type: 'number'},
+        },
+        required: [
+          'title',
+          'description',
+          'handles',
+          'discountType',
+          'discountValue',
+        ],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['bundles'],
+  additionalProperties: false,
+};
+
+/**
+ * Build the recommendation prompt sent to the AI provider
  * @param {Object} context - Context object with product information
  * @param {string} context.currentProductTitle - Title of current product (optional)
  * @param {string} context.currentProductDescription - Description of current product (optional)
  * @param {Array<Object>} context.availableProducts - Array of available products
  * @param {string} context.userQuery - User's search query or preference (optional)
- * @returns {Promise<Array<string>>} Array of recommended product titles/handles
+ * @param {Array<string>} context.recentlyViewed - Titles of products the shopper viewed recently (optional)
+ * @param {Array<string>} context.inCart - Titles of products in the shopper's cart (optional)
+ * @returns {string} The prompt text
  */
-export async function getGeminiRecommendations(apiKey, context = {}) {
+export function buildRecommendationPrompt(context = {}) {
   const {
     currentProductTitle,
     currentProductDescription,
     availableProducts = [],
     userQuery,
+    recentlyViewed = [],
+    inCart = [],
   } = context;
 
-  if (!apiKey) {
-    throw new Error('Gemini API key is required');
-  }
-
   // Build product list for context
-  const productList = availableProducts
-    .slice(0, 20) // Limit to 20 products for context
-    .map((product) => ({
-      title: product.title,
-      handle: product.handle,
-      description: product.description || '',
-      price: product.priceRange?.minVariantPrice?.amount || '',
-      vendor: product.vendor || '',
-    }))
-    .map(
-      (p) =>
-        `- ${p.title} (${p.handle})${p.description ? `: ${p.description.substring(0, 100)}` : ''}`,
-    )
-    .join('\n');
+  const productList = formatProductList(availableProducts, {
+    limit: MAX_PROMPT_PRODUCTS,
+  });
 
   // Build the prompt
   let prompt = `You are an AI shopping assistant. Analyze the following products and provide personalized recommendations.\n\n`;
-  
+
   if (currentProductTitle) {
     prompt += `Current Product: ${currentProductTitle}\n`;
     if (currentProductDescription) {
@@ -54,115 +134,487 @@ export async function getGeminiRecommendations(apiKey, context = {}) {
     prompt += `User Preference: ${userQuery}\n\n`;
   }
 
+  if (recentlyViewed.length) {
+    prompt += `Recently Viewed by the Shopper: ${recentlyViewed.join('; ')}\n`;
+  }
+
+  if (inCart.length) {
+    prompt += `Already in the Shopper's Cart: ${inCart.join('; ')}\n`;
+  }
+
+  if (recentlyViewed.length || inCart.length) {
+    prompt += `Favor products that complement what the shopper viewed or added to the cart.\n\n`;
+  }
+
   prompt += `Available Products:\n${productList}\n\n`;
   prompt += `Based on the context above, recommend 4-6 products that would be most relevant. `;
-  prompt += `Return ONLY a JSON array of product handles (the handle is the URL-friendly identifier in parentheses), like this: ["product-handle-1", "product-handle-2", "product-handle-3", "product-handle-4"]\n`;
-  prompt += `Do not include any explanation, only the JSON array.`;
+  prompt += `Return ONLY a JSON object like this: {"recommendations": [{"handle": "product-handle-1", "reason": "Pairs well with your jacket", "confidence": 0.8}]}\n`;
+  prompt += `"handle" is the URL-friendly identifier in parentheses and must come from the list above. `;
+  prompt += `"reason" is one short sentence for the shopper explaining the pick. "confidence" is a number between 0 and 1.`;
 
-  try {
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [
-            {
-              parts: [
-                {
-                  text: prompt,
-                },
-              ],
-            },
-          ],
-          generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 1024,
-          },
-        }),
-      },
-    );
+  return prompt;
+}
 
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(
-        `Gemini API error: ${response.status} ${response.statusText} - ${errorData}`,
-      );
-    }
+/**
+ * Build the shopping assistant prompt for one conversation turn. The model may
+ * only suggest products from `availableProducts`.
+ * @param {Object} context - Conversation context
+ * @param {Array<{role: 'user' | 'assistant', content: string}>} context.history - Previous turns, oldest first
+ * @param {string} context.message - The shopper's new message
+ * @param {Array<Object>} context.availableProducts - Products fetched from the Storefront API
+ * @returns {string} The prompt text
+ */
+export function buildAssistantPrompt(context) {
+  const {history = [], message, availableProducts = []} = context;
 
-    const data = await response.json();
+  let prompt = `You are a friendly shopping assistant for an online store. Help the shopper find products.\n`;
+  prompt += `Only suggest products from the list below, never invent products, prices or availability.\n\n`;
 
-    if (!data.candidates || !data.candidates[0]?.content?.parts) {
-      throw new Error('Invalid response from Gemini API');
-    }
+  prompt += `Available Products:\n${formatProductList(availableProducts, {
+    includePrice: true,
+    limit: 30,
+  })}\n\n`;
 
-    const responseText =
-      data.candidates[0].content.parts[0].text.trim();
+  if (history.length) {
+    prompt += `Conversation so far:\n`;
+    prompt += history
+      .map(
+        (turn) =>
+          `${turn.role === 'user' ? 'Shopper' : 'Assistant'}: ${turn.content}`,
+      )
+      .join('\n');
+    prompt += `\n\n`;
+  }
 
-    // Parse JSON array from response
-    // Remove markdown code blocks if present
-    const jsonMatch = responseText.match(/\[.*\]/s);
-    if (!jsonMatch) {
-      throw new Error('Could not parse recommendations from Gemini response');
-    }
+  prompt += `Shopper: ${message}\n\n`;
+  prompt += `Reply with ONLY a JSON object like this: {"reply": "short answer to the shopper", "products": ["product-handle-1", "product-handle-2"]}\n`;
+  prompt += `"products" lists up to 4 handles (the identifier in parentheses) of the best matching products, or is empty if nothing matches.`;
 
-    const recommendations = JSON.parse(jsonMatch[0]);
-    
-    if (!Array.isArray(recommendations)) {
-      throw new Error('Gemini response is not an array');
-    }
+  return prompt;
+}
+
+/**
+ * Build the prompt asking for complementary product bundles from the catalog
+ * @param {Object} context - Catalog context
+ * @param {Array<Object>} context.availableProducts - Products the bundles may contain
+ * @param {number} [context.count] - Number of bundles to suggest
+ * @returns {string} The prompt text
+ */
+export function buildBundleSuggestionsPrompt(context) {
+  const {availableProducts = [], count = 3} = context;
+
+  let prompt = `You are a merchandiser for an online store. Propose product bundles that shoppers would buy together.
+`;
+  prompt += `Each bundle groups ${MIN_BUNDLE_PRODUCTS}-${MAX_BUNDLE_PRODUCTS} complementary products from the list below, never products that replace each other.
 
-    return recommendations;
+`;
+
+  prompt += `Available Products:
+${formatProductList(availableProducts, {
+  includePrice: true,
+  limit: MAX_BUNDLE_PROMPT_PRODUCTS,
+})}
+
+`;
+
+  prompt += `Suggest ${count} bundles. Return ONLY a JSON object like this: {"bundles": [{"title": "Winter Hiking Kit", "description": "Everything for a cold day on the trail.", "handles": ["product-handle-1", "product-handle-2"], "discountType": "percentage", "discountValue": 10}]}
+`;
+  prompt += `"handles" are the identifiers in parentheses and must come from the list above. `;
+  prompt += `"title" is short and catchy, "description" is one or two sentences for shoppers. `;
+  prompt += `"discountType" is "percentage" with a "discountValue" between ${MIN_BUNDLE_DISCOUNT_PERCENT} and ${MAX_BUNDLE_DISCOUNT_PERCENT}, or "fixed_price" with a "discountValue" below the sum of the product prices.`;
+
+  return prompt;
+}
+
+/**
+ * Get bundle suggestions for the catalog. Every suggestion is validated: only
+ * listed products, at most one bundle per product combination, and discounts
+ * the store can honor.
+ * @param {AIProvider} provider - AI provider (see `createAIProvider`)
+ * @param {Object} context - Catalog context, see `buildBundleSuggestionsPrompt`
+ * @returns {Promise<Array<BundleSuggestion>>}
+ * @throws {AIError} With a `timeout`, `quota`, `parse`, `invalid-handle` or
+ * `provider` category
+ */
+export async function getBundleSuggestions(provider, context) {
+  const responseText = await provider.generate({
+    prompt: buildBundleSuggestionsPrompt(context),
+    responseSchema: BUNDLE_SUGGESTIONS_SCHEMA,
+  });
+
+  return validateBundleSuggestions(
+    parseJsonResponse(responseText),
+    context.availableProducts.slice(0, MAX_BUNDLE_PROMPT_PRODUCTS),
+  );
+}
+
+/**
+ * Get the shopping assistant's answer to a shopper message
+ * @param {AIProvider} provider - AI provider (see `createAIProvider`)
+ * @param {Object} context - Conversation context, see `buildAssistantPrompt`
+ * @returns {Promise<{reply: string, handles: Array<string>}>} The reply text and
+ * the handles of suggested products, restricted to `availableProducts`
+ */
+export async function getAssistantReply(provider, context) {
+  const prompt = buildAssistantPrompt(context);
+  const responseText = await provider.generate({
+    prompt,
+    responseSchema: ASSISTANT_REPLY_SCHEMA,
+  });
+
+  // Accept a {reply, products} object, or a bare array of handles
+  const parsed = parseJsonResponse(responseText);
+  const reply =
+    typeof parsed?.reply === 'string' && parsed.reply.trim()
+      ? parsed.reply.trim()
+      : 'Here are some products you might like.';
+  const suggested = Array.isArray(parsed) ? parsed : parsed?.products;
+
+  const knownHandles = new Set(
+    context.availableProducts.map((product) => product.handle),
+  );
+  const handles = (Array.isArray(suggested) ? suggested : [])
+    .filter((handle) => knownHandles.has(handle))
+    .slice(0, 4);
+
+  return {reply, handles};
+}
+
+/**
+ * Get AI-powered product recommendations from the configured AI provider.
+ * The provider is asked for structured output and every item is validated
+ * against the candidate handles, so only real, listed products come back.
+ * @param {AIProvider | string} provider - AI provider (see `createAIProvider`), or a Gemini API key
+ * @param {Object} context - Context object with product information, see `buildRecommendationPrompt`
+ * @returns {Promise<Array<AIRecommendation>>} Up to 6 recommendations, best first
+ * @throws {AIError} With a `timeout`, `quota`, `parse`, `invalid-handle` or
+ * `provider` category
+ */
+export async function getGeminiRecommendations(provider, context = {}) {
+  if (!provider) {
+    throw new Error('AI provider is required');
+  }
+
+  const aiProvider =
+    typeof provider === 'string'
+      ? createGeminiProvider({apiKey: provider})
+      : provider;
+
+  const prompt = buildRecommendationPrompt(context);
+
+  try {
+    const responseText = await aiProvider.generate({
+      prompt,
+      responseSchema: RECOMMENDATIONS_SCHEMA,
+    });
+
+    return validateRecommendations(
+      parseJsonResponse(responseText),
+      (context.availableProducts ?? []).slice(0, MAX_PROMPT_PRODUCTS),
+    );
   } catch (error) {
-    console.error('Error getting Gemini recommendations:', error);
+    console.error(`Error getting ${aiProvider.name} recommendations:`, error);
     throw error;
   }
 }
 
 /**
  * Get AI-powered product recommendations with fallback
- * @param {string} apiKey - Gemini API key
+ * @param {AIProvider | string} provider - AI provider, or a Gemini API key
  * @param {Object} context - Context object
  * @param {Array<Object>} fallbackProducts - Fallback products if API fails
- * @returns {Promise<Array<Object>>} Recommended products
+ * @returns {Promise<RecommendationsWithFallback>} Recommended products, where
+ * they came from, and the error category when the AI call failed
  */
 export async function getRecommendationsWithFallback(
-  apiKey,
+  provider,
   context,
   fallbackProducts = [],
 ) {
   try {
-    const recommendedHandles = await getGeminiRecommendations(apiKey, context);
-    
-    // Map handles to actual product objects
-    const recommendedProducts = recommendedHandles
-      .map((handle) =>
-        context.availableProducts.find(
-          (p) => p.handle === handle || p.handle === handle.replace(/-/g, ''),
-        ),
-      )
-      .filter(Boolean)
-      .slice(0, 6); // Limit to 6 products
+    const recommendations = await getGeminiRecommendations(provider, context);
+
+    const productsByHandle = new Map(
+      context.availableProducts.map((product) => [product.handle, product]),
+    );
+    const products = recommendations.map(({handle}) =>
+      productsByHandle.get(handle),
+    );
 
     // If we got fewer recommendations than expected, fill with fallback
-    if (recommendedProducts.length < 4 && fallbackProducts.length > 0) {
-      const usedHandles = new Set(recommendedProducts.map((p) => p.handle));
+    if (products.length < 4 && fallbackProducts.length > 0) {
+      const usedHandles = new Set(products.map((p) => p.handle));
       const additional = fallbackProducts
         .filter((p) => !usedHandles.has(p.handle))
-        .slice(0, 4 - recommendedProducts.length);
-      recommendedProducts.push(...additional);
+        .slice(0, 4 - products.length);
+
+      return {
+        products: [...products, ...additional],
+        recommendations,
+        source: additional.length ? 'mixed' : 'ai',
+        errorCategory: null,
+      };
     }
 
-    return recommendedProducts.length > 0
-      ? recommendedProducts
-      : fallbackProducts.slice(0, 6);
+    return {products, recommendations, source: 'ai', errorCategory: null};
   } catch (error) {
     console.error('Falling back to default recommendations:', error);
-    return fallbackProducts.slice(0, 6);
+    return {
+      products: fallbackProducts.slice(0, MAX_RECOMMENDATIONS),
+      recommendations: [],
+      source: 'fallback',
+      errorCategory:
+        error instanceof AIError
+          ? error.category
+          : AI_ERROR_CATEGORIES.PROVIDER,
+    };
+  }
+}
+
+/**
+ * Parses a JSON model response, tolerating markdown code fences and prose
+ * around the payload from providers without a strict JSON mode.
+ * @param {string} responseText
+ * @returns {unknown}
+ */
+function parseJsonResponse(responseText) {
+  const text = responseText
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    // Fall back to the outermost object or array in the text
+  }
+
+  const jsonMatch = text.match(/[[{].*[\]}]/s);
+  try {
+    if (jsonMatch) return JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    throw new AIError(
+      'AI response is not valid JSON',
+      AI_ERROR_CATEGORIES.PARSE,
+      {cause: error},
+    );
+  }
+
+  throw new AIError(
+    'Could not find JSON in AI response',
+    AI_ERROR_CATEGORIES.PARSE,
+  );
+}
+
+/**
+ * Keeps the items naming a listed candidate handle, once each.
+ * @param {unknown} parsed - `{recommendations: [...]}`, or a bare array of
+ * handles or items
+ * @param {Array<{handle: string}>} candidates
+ * @returns {Array<AIRecommendation>}
+ */
+function validateRecommendations(parsed, candidates) {
+  const items = Array.isArray(parsed) ? parsed : parsed?.recommendations;
+  if (!Array.isArray(items)) {
+    throw new AIError(
+      'AI response does not contain a recommendations array',
+      AI_ERROR_CATEGORIES.PARSE,
+    );
+  }
+
+  const candidateHandles = new Set(candidates.map((product) => product.handle));
+  const seen = new Set();
+  const recommendations = [];
+
+  for (const item of items) {
+    const handle = typeof item === 'string' ? item : item?.handle;
+    if (
+      typeof handle !== 'string' ||
+      !candidateHandles.has(handle) ||
+      seen.has(handle)
+    ) {
+      continue;
+    }
+    seen.add(handle);
+
+    const confidence = Number(item?.confidence);
+    recommendations.push({
+      handle,
+      reason:
+        typeof item?.reason === 'string'
+          ? item.reason.replace(/\s+/g, ' ').trim().slice(0, MAX_REASON_LENGTH)
+          : '',
+      confidence: Number.isFinite(confidence)
+        ? Math.min(1, Math.max(0, confidence))
+        : null,
+    });
   }
+
+  if (items.length > 0 && recommendations.length === 0) {
+    throw new AIError(
+      'AI response did not recommend any listed product',
+      AI_ERROR_CATEGORIES.INVALID_HANDLE,
+    );
+  }
+
+  return recommendations.slice(0, MAX_RECOMMENDATIONS);
 }
 
+/**
+ * @param {unknown} parsed - `{bundles: [...]}` or a bare array of bundles
+ * @param {Array<{handle: string; priceRange?: Object}>} candidates
+ * @returns {Array<BundleSuggestion>}
+ */
+function validateBundleSuggestions(parsed, candidates) {
+  const items = Array.isArray(parsed) ? parsed : parsed?.bundles;
+  if (!Array.isArray(items)) {
+    throw new AIError(
+      'AI response does not contain a bundles array',
+      AI_ERROR_CATEGORIES.PARSE,
+    );
+  }
+
+  const productsByHandle = new Map(
+    candidates.map((product) => [product.handle, product]),
+  );
+  const seen = new Set();
+  const suggestions = [];
+
+  for (const item of items) {
+    const handles = [
+      ...new Set(
+        (Array.isArray(item?.handles) ? item.handles : []).filter((handle) =>
+          productsByHandle.has(handle),
+        ),
+      ),
+    ].slice(0, MAX_BUNDLE_PRODUCTS);
+    const title =
+      typeof item?.title === 'string'
+        ? item.title.replace(/\s+/g, ' ').trim()
+        : '';
+    const combination = [...handles].sort().join(',');
+
+    if (
+      handles.length < MIN_BUNDLE_PRODUCTS ||
+      !title ||
+      seen.has(combination)
+    ) {
+      continue;
+    }
+
+    const discount = toBundleDiscount(
+      item.discountType,
+      Number(item.discountValue),
+      handles.map((handle) => productsByHandle.get(handle)),
+    );
+    if (!discount) continue;
+
+    seen.add(combination);
+    suggestions.push({
+      title: title.slice(0, MAX_BUNDLE_TITLE_LENGTH),
+      description:
+        typeof item.description === 'string'
+          ? item.description
+              .replace(/\s+/g, ' ')
+              .trim()
+              .slice(0, MAX_BUNDLE_DESCRIPTION_LENGTH)
+          : '',
+      handles,
+      ...discount,
+    });
+  }
+
+  if (items.length > 0 && suggestions.length === 0) {
+    throw new AIError(
+      'AI response did not suggest any valid bundle',
+      AI_ERROR_CATEGORIES.INVALID_HANDLE,
+    );
+  }
+
+  return suggestions;
+}
+
+/**
+ * Percentages are clamped to the allowed range; a fixed price must undercut
+ * the products bought separately.
+ * @param {unknown} discountType
+ * @param {number} discountValue
+ * @param {Array<{priceRange?: Object}>} products
+ * @returns {Pick<BundleSuggestion, 'discountType' | 'discountValue'> | null}
+ */
+function toBundleDiscount(discountType, discountValue, products) {
+  if (!Number.isFinite(discountValue) || discountValue <= 0) return null;
+
+  if (discountType === 'percentage') {
+    return {
+      discountType,
+      discountValue: Math.round(
+        Math.min(
+          MAX_BUNDLE_DISCOUNT_PERCENT,
+          Math.max(MIN_BUNDLE_DISCOUNT_PERCENT, discountValue),
+        ),
+      ),
+    };
+  }
+
+  if (discountType === 'fixed_price') {
+    const subtotal = products.reduce(
+      (sum, product) =>
+        sum + Number(product.priceRange?.minVariantPrice?.amount ?? 0),
+      0,
+    );
+    return discountValue < subtotal
+      ? {discountType, discountValue: Math.round(discountValue * 100) / 100}
+      : null;
+  }
+
+  return null;
+}
+
+/**
+ * @param {Array<Object>} products
+ * @param {{includePrice?: boolean; limit?: number}} [options]
+ */
+function formatProductList(products, {includePrice = false, limit = 20} = {}) {
+  return products
+    .slice(0, limit) // Limit the number of products for context
+    .map((product) => ({
+      title: product.title,
+      handle: product.handle,
+      description: product.description || '',
+      price: product.priceRange?.minVariantPrice?.amount || '',
+      currencyCode: product.priceRange?.minVariantPrice?.currencyCode || '',
+      vendor: product.vendor || '',
+    }))
+    .map(
+      (p) =>
+        `- ${p.title} (${p.handle})${includePrice && p.price ? ` - ${p.price} ${p.currencyCode}` : ''}${p.description ? `: ${p.description.substring(0, 100)}` : ''}`,
+    )
+    .join('\n');
+}
+
+/**
+ * @typedef {Object} AIRecommendation
+ * @property {string} handle Handle of a candidate product
+ * @property {string} reason Short shopper-facing explanation, may be empty
+ * @property {number | null} confidence Between 0 and 1, null when not given
+ */
+/**
+ * @typedef {Object} BundleSuggestion
+ * @property {string} title
+ * @property {string} description Plain text, may be empty
+ * @property {string[]} handles Handles of the bundled products
+ * @property {'percentage' | 'fixed_price'} discountType
+ * @property {number} discountValue Percent off, or the bundle price
+ */
+/**
+ * @typedef {Object} RecommendationsWithFallback
+ * @property {Array<Object>} products
+ * @property {Array<AIRecommendation>} recommendations
+ * @property {'ai' | 'mixed' | 'fallback'} source
+ * @property {AIErrorCategory | null} errorCategory
+ */
+
+/** @typedef {import('~/lib/aiProvider').AIProvider} AIProvider */
+/** @typedef {import('~/lib/aiProvider').AIErrorCategory} AIErrorCategory */
+/** @typedef {import('~/lib/aiProvider').JsonSchema} JsonSchema */
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {AI_ERROR_CATEGORIES} from '~/lib/aiProvider';
+import {getGeminiRecommendations} from '~/lib/gemini';
+
+const availableProducts = [
+  'socks',
+  'hat',
+  'scarf',
+  'gloves',
+  'boots',
+  'coat',
+  'mug',
+].map((handle) => ({handle, title: handle}));
+
+/**
+ * Validates `response` as the provider's answer, see `validateRecommendations`.
+ * @param {import('node:test').TestContext} t
+ * @param {unknown} response
+ */
+function recommend(t, response) {
+  // Failed calls are logged before they're rethrown
+  t.mock.method(console, 'error', () => {});
+
+  return getGeminiRecommendations(
+    {
+      name: 'stub',
+      model: 'stub',
+      generate: async () => JSON.stringify(response),
+    },
+    {availableProducts},
+  );
+}
+
+describe('validateRecommendations', () => {
+  it('keeps listed handles once, in order', async (t) => {
+    const recommendations = await recommend(t, {
+      recommendations: [
+        {handle: 'hat', reason: 'Goes  with\nit', confidence: 0.9},
+        {handle: 'unknown'},
+        {handle: 'hat'},
+        'scarf',
+      ],
+    });
+
+    assert.deepEqual(recommendations, [
+      {handle: 'hat', reason: 'Goes with it', confidence: 0.9},
+      {handle: 'scarf', reason: '', confidence: null},
+    ]);
+  });
+
+  it('clamps confidence and shortens reasons', async (t) => {
+    const [recommendation] = await recommend(t, [
+      {handle: 'socks', reason: 'x'.repeat(500), confidence: 7},
+    ]);
+
+    assert.equal(recommendation.confidence, 1);
+    assert.equal(recommendation.reason.length, 140);
+  });
+
+  it('returns at most six recommendations', async (t) => {
+    const recommendations = await recommend(
+      t,
+      availableProducts.map(({handle}) => handle),
+    );
+
+    assert.equal(recommendations.length, 6);
+  });
+
+  it('accepts an empty list', async (t) => {
+    assert.deepEqual(await recommend(t, {recommendations: []}), []);
+  });
+
+  it('rejects responses without a listed product', async (t) => {
+    await assert.rejects(recommend(t, {recommendations: ['unknown']}), {
+      category: AI_ERROR_CATEGORIES.INVALID_HANDLE,
+    });
+  });
+
+  it('rejects responses without a recommendations array', async (t) => {
+    await assert.rejects(recommend(t, {handles: ['hat']}), {
+      category: AI_ERROR_CATEGORIES.PARSE,
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Parses metaobject fields by their type, so loaders can hand components
+ * ready-to-render values instead of the Storefront API's strings:
+ *
+ * - `rich_text_field`: a `RichTextValue`, rendered with Hydrogen's
+ *   `RichText`, with a plain-text fallback for meta tags and cards
+ * - `file_reference`: image data for Hydrogen's `Image`
+ * - product, collection and other references: the referenced nodes
+ * - `boolean`, `number_integer`, `number_decimal`, `date`, `date_time` and
+ *   `json`: the matching JavaScript values
+ * - `list.*`: arrays of the parsed items
+ *
+ * Query `fields {key value type reference references}` and spread
+ * `METAOBJECT_FILE_REFERENCE_FRAGMENT` into `reference` to get images.
+ * Fields of other types keep their string value.
+ */
+
+export const METAOBJECT_FILE_REFERENCE_FRAGMENT = `#graphql
+  fragment MetaobjectFileReference on MetafieldReference {
+    ... on MediaImage {
+      id
+      image {
+        url
+        altText
+        width
+        height
+      }
+    }
+    ... on GenericFile {
+      id
+      url
+      alt
+    }
+  }
+`;
+
+/** Rich text nodes whose children are blocks rather than inline text */
+const RICH_TEXT_CONTAINERS = new Set(['root', 'list']);
+
+/**
+ * The raw string values of metaobject fields by key, as rule and behaviour
+ * fields are stored.
+ * @param {Array<{key: string; value?: string | null}>} fields
+ * @returns {Record<string, string | undefined>}
+ */
+export function getFieldValues(fields) {
+  return Object.fromEntries(
+    fields.map(({key, value}) => [key, value ?? undefined]),
+  );
+}
+
+/**
+ * The parsed values of metaobject fields by key.
+ * @param {MetaobjectField[]} fields
+ * @returns {Record<string, unknown>}
+ */
+export function parseMetaobjectFields(fields) {
+  return Object.fromEntries(
+    fields.map((field) => [field.key, parseMetaobjectField(field)]),
+  );
+}
+
+/**
+ * @param {MetaobjectField} field
+ * @returns {unknown} The field's value for its type, or null when it's empty
+ * or invalid
+ */
+export function parseMetaobjectField({type, value, reference, references}) {
+  if (type === 'file_reference') return parseFileReference(reference);
+  if (type === 'list.file_reference') {
+    return (references?.nodes ?? []).map(parseFileReference).filter(Boolean);
+  }
+  if (type?.endsWith('_reference')) {
+    return type.startsWith('list.')
+      ? (references?.nodes ?? [])
+      : (reference ?? null);
+  }
+  if (value == null) return null;
+
+  if (type?.startsWith('list.')) {
+    const itemType = type.slice('list.'.length);
+    const items = parseJson(value);
+    return Array.isArray(items)
+      ? items.map((item) => parseScalar(itemType, String(item)))
+      : [];
+  }
+
+  return parseScalar(type, value);
+}
+
+/**
+ * @param {string | null | undefined} value Rich text JSON; plain text is
+ * taken as a single paragraph
+ * @returns {RichTextValue | null}
+ */
+export function parseRichText(value) {
+  if (!value) return null;
+
+  const root = parseJson(value);
+  if (root?.type !== 'root') {
+    return {json: toRichText(value), text: value.trim()};
+  }
+
+  return {json: value, text: getPlainText(root).replace(/\s+/g, ' ').trim()};
+}
+
+/**
+ * Rich text JSON of a single paragraph.
+ * @param {string} text
+ */
+export function toRichText(text) {
+  return JSON.stringify({
+    type: 'root',
+    children: [{type: 'paragraph', children: [{type: 'text', value: text}]}],
+  });
+}
+
+/**
+ * @param {string | null | undefined} type
+ * @param {string} value
+ */
+function parseScalar(type, value) {
+  switch (type) {
+    case 'rich_text_field':
+      return parseRichText(value);
+    case 'boolean':
+      return value === 'true';
+    case 'number_integer':
+    case 'number_decimal': {
+      const number = Number(value);
+      return value.trim() && Number.isFinite(number) ? number : null;
+    }
+    case 'date':
+    case 'date_time': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+    case 'json':
+      return parseJson(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * @param {MetaobjectReference | null | undefined} reference
+ * @returns {MetaobjectImage | null}
+ */
+function parseFileReference(reference) {
+  if (reference?.__typename === 'MediaImage' && reference.image?.url) {
+    const {url, altText, width, height} = reference.image;
+    return {url, altText: altText ?? '', width, height};
+  }
+
+  if (reference?.__typename === 'GenericFile' && reference.url) {
+    return {url: reference.url, altText: reference.alt ?? ''};
+  }
+
+  return null;
+}
+
+/**
+ * @param {{type?: string; value?: string; children?: unknown[]}} node
+ * @returns {string}
+ */
+function getPlainText(node) {
+  if (node?.type === 'text') return node.value ?? '';
+  if (!Array.isArray(node?.children)) return '';
+
+  return node.children
+    .map(getPlainText)
+    .join(RICH_TEXT_CONTAINERS.has(node.type) ? ' ' : '');
+}
+
+/**
+ * @param {string} value
+ * @returns {any}
+ */
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @typedef {Object} MetaobjectField
+ * @property {string} key
+ * @property {string | null} [value]
+ * @property {string} [type]
+ * @property {MetaobjectReference | null} [reference]
+ * @property {{nodes: MetaobjectReference[]} | null} [references]
+ */
+/**
+ * @typedef {{__typename?: string} & Record<string, any>} MetaobjectReference
+ */
+/**
+ * @typedef {Object} RichTextValue
+ * @property {string} json Rich text JSON for Hydrogen's `RichText`
+ * @property {string} text The text without formatting
+ */
+/**
+ * @typedef {Object} MetaobjectImage
+ * @property {string} url
+ * @property {string} altText
+ * @property {number | null} [width]
+ * @property {number | null} [height]
+ */
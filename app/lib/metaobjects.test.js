@@ -0,0 +1,162 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {
+  getFieldValues,
+  parseMetaobjectField,
+  parseMetaobjectFields,
+  parseRichText,
+  toRichText,
+} from '~/lib/metaobjects';
+
+describe('parseMetaobjectField', () => {
+  it('parses scalar types', () => {
+    assert.equal(parseMetaobjectField({type: 'boolean', value: 'true'}), true);
+    assert.equal(
+      parseMetaobjectField({type: 'number_decimal', value: '12.5'}),
+      12.5,
+    );
+    assert.equal(
+      parseMetaobjectField({type: 'number_integer', value: ' '}),
+      null,
+    );
+    assert.deepEqual(parseMetaobjectField({type: 'json', value: '{"a": 1}'}), {
+      a: 1,
+    });
+    assert.equal(
+      parseMetaobjectField({type: 'single_line_text_field', value: 'Hi'}),
+      'Hi',
+    );
+    assert.equal(parseMetaobjectField({type: 'boolean', value: null}), null);
+  });
+
+  it('parses dates and drops invalid ones', () => {
+    const date = parseMetaobjectField({type: 'date', value: '2025-03-01'});
+
+    assert.ok(date instanceof Date);
+    assert.equal(date.toISOString(), '2025-03-01T00:00:00.000Z');
+    assert.equal(
+      parseMetaobjectField({type: 'date_time', value: 'soon'}),
+      null,
+    );
+  });
+
+  it('parses lists item by item', () => {
+    assert.deepEqual(
+      parseMetaobjectField({type: 'list.number_integer', value: '[1, "2"]'}),
+      [1, 2],
+    );
+    assert.deepEqual(
+      parseMetaobjectField({type: 'list.number_integer', value: 'nope'}),
+      [],
+    );
+  });
+
+  it('returns image data for file references', () => {
+    const image = {
+      url: 'https://cdn/a.jpg',
+      altText: null,
+      width: 10,
+      height: 5,
+    };
+
+    assert.deepEqual(
+      parseMetaobjectField({
+        type: 'file_reference',
+        value: 'gid://shopify/MediaImage/1',
+        reference: {__typename: 'MediaImage', image},
+      }),
+      {...image, altText: ''},
+    );
+    assert.deepEqual(
+      parseMetaobjectField({
+        type: 'list.file_reference',
+        references: {
+          nodes: [
+            {__typename: 'GenericFile', url: 'https://cdn/b.pdf', alt: 'B'},
+            {__typename: 'Video'},
+          ],
+        },
+      }),
+      [{url: 'https://cdn/b.pdf', altText: 'B'}],
+    );
+    assert.equal(
+      parseMetaobjectField({type: 'file_reference', reference: null}),
+      null,
+    );
+  });
+
+  it('returns the referenced nodes', () => {
+    const product = {__typename: 'Product', id: '1'};
+
+    assert.equal(
+      parseMetaobjectField({type: 'product_reference', reference: product}),
+      product,
+    );
+    assert.deepEqual(
+      parseMetaobjectField({
+        type: 'list.product_reference',
+        references: {nodes: [product]},
+      }),
+      [product],
+    );
+    assert.deepEqual(
+      parseMetaobjectField({type: 'list.product_reference', references: null}),
+      [],
+    );
+  });
+});
+
+describe('parseRichText', () => {
+  it('keeps rich text JSON and extracts its text', () => {
+    const json = JSON.stringify({
+      type: 'root',
+      children: [
+        {
+          type: 'paragraph',
+          children: [
+            {type: 'text', value: 'Warm '},
+            {type: 'text', value: 'socks', bold: true},
+          ],
+        },
+        {
+          type: 'list',
+          children: [
+            {type: 'list-item', children: [{type: 'text', value: 'Wool'}]},
+            {type: 'list-item', children: [{type: 'text', value: 'Cotton'}]},
+          ],
+        },
+      ],
+    });
+
+    assert.deepEqual(parseRichText(json), {
+      json,
+      text: 'Warm socks Wool Cotton',
+    });
+  });
+
+  it('wraps plain text in a paragraph', () => {
+    assert.deepEqual(parseRichText(' Just text '), {
+      json: toRichText(' Just text '),
+      text: 'Just text',
+    });
+    assert.equal(parseRichText(''), null);
+  });
+});
+
+describe('parseMetaobjectFields', () => {
+  it('maps fields by key', () => {
+    const fields = [
+      {key: 'title', type: 'single_line_text_field', value: 'Kit'},
+      {key: 'featured', type: 'boolean', value: 'false'},
+    ];
+
+    assert.deepEqual(parseMetaobjectFields(fields), {
+      title: 'Kit',
+      featured: false,
+    });
+    assert.deepEqual(getFieldValues(fields), {
+      title: 'Kit',
+      featured: 'false',
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Token bucket rate limiting for endpoints that spend third-party quota.
+ *
+ * Buckets live in a pluggable store (see `~/lib/stateStore`). The worker cache
+ * store is shared per data center and not atomic, so limits are best-effort:
+ * good enough to stop a client hammering an endpoint, not an exact quota.
+ */
+
+const SESSION_ID_KEY = 'rateLimitId';
+// Bursts of 10 requests, then one every 6 seconds per IP and per session
+const DEFAULT_AI_RATE_LIMIT_CAPACITY = 10;
+const DEFAULT_AI_RATE_LIMIT_PER_MINUTE = 10;
+
+/**
+ * @param {RateLimitOptions} options
+ */
+export function createRateLimiter({store, capacity, refillPerSecond}) {
+  return {
+    /**
+     * Takes one token from the bucket identified by `key`.
+     * @param {string} key
+     * @returns {Promise<RateLimitResult>}
+     */
+    async consume(key) {
+      const now = Date.now();
+      const bucket = (await store.get(key)) ?? {
+        tokens: capacity,
+        updatedAt: now,
+      };
+
+      const elapsedSeconds = Math.max(0, now - bucket.updatedAt) / 1000;
+      const tokens = Math.min(
+        capacity,
+        bucket.tokens + elapsedSeconds * refillPerSecond,
+      );
+      const allowed = tokens >= 1;
+      const remaining = allowed ? tokens - 1 : tokens;
+
+      // Keep the bucket around until it would be full again
+      const ttl = Math.ceil((capacity - remaining) / refillPerSecond);
+      await store.set(key, {tokens: remaining, updatedAt: now}, ttl);
+
+      return {
+        allowed,
+        remaining: Math.floor(remaining),
+        retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / refillPerSecond),
+      };
+    },
+  };
+}
+
+/**
+ * Rate limits endpoints that call the AI provider. Takes a token from both the
+ * client IP and the session bucket of `scope`; configure with
+ * `AI_RATE_LIMIT_CAPACITY` (burst) and `AI_RATE_LIMIT_PER_MINUTE` (refill).
+ * @param {Request} request
+ * @param {RateLimitContext} context
+ * @param {string} scope Name of the limited endpoint, buckets are per scope
+ * @returns {Promise<number>} Seconds to wait before retrying, 0 when allowed
+ */
+export async function checkAIRateLimit(request, context, scope) {
+  const {env, rateLimitStore, session} = context;
+
+  const limiter = createRateLimiter({
+    store: rateLimitStore,
+    capacity: parsePositiveInt(
+      env.AI_RATE_LIMIT_CAPACITY,
+      DEFAULT_AI_RATE_LIMIT_CAPACITY,
+    ),
+    refillPerSecond:
+      parsePositiveInt(
+        env.AI_RATE_LIMIT_PER_MINUTE,
+        DEFAULT_AI_RATE_LIMIT_PER_MINUTE,
+      ) / 60,
+  });
+
+  // Cookie sessions have no ID, so give each session a random one
+  let sessionId = session.get(SESSION_ID_KEY);
+  if (typeof sessionId !== 'string') {
+    sessionId = crypto.randomUUID();
+    session.set(SESSION_ID_KEY, sessionId);
+  }
+
+  const results = await Promise.all([
+    limiter.consume(`${scope}:ip:${getClientIp(request)}`),
+    limiter.consume(`${scope}:session:${sessionId}`),
+  ]);
+
+  return Math.max(...results.map((result) => result.retryAfter));
+}
+
+/**
+ * Best-effort client IP from the headers set by Oxygen and other proxies.
+ * @param {Request} request
+ */
+export function getClientIp(request) {
+  const {headers} = request;
+
+  return (
+    headers.get('oxygen-buyer-ip') ||
+    headers.get('cf-connecting-ip') ||
+    headers.get('x-forwarded-for')?.split(',')[0].trim() ||
+    'unknown'
+  );
+}
+
+/**
+ * @param {string | undefined} value
+ * @param {number} fallback
+ */
+function parsePositiveInt(value, fallback) {
+  const number = Number.parseInt(value ?? '', 10);
+  return Number.isNaN(number) || number <= 0 ? fallback : number;
+}
+
+/**
+ * @typedef {Object} RateLimitBucket
+ * @property {number} tokens
+ * @property {number} updatedAt Epoch milliseconds
+ */
+/**
+ * @typedef {StateStore<RateLimitBucket>} RateLimitStore
+ */
+/**
+ * @typedef {Object} RateLimitOptions
+ * @property {RateLimitStore} store
+ * @property {number} capacity Maximum burst size
+ * @property {number} refillPerSecond Tokens added back per second
+ */
+/**
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} allowed
+ * @property {number} remaining Whole tokens left
+ * @property {number} retryAfter Seconds until a token is available, 0 when allowed
+ */
+/**
+ * @typedef {Pick<
+ *   HydrogenRouterContextProvider,
+ *   'env' | 'session'
+ * > & {rateLimitStore: RateLimitStore}} RateLimitContext
+ */
+
+/** @template T @typedef {import('~/lib/stateStore').StateStore<T>} StateStore */
+/** @typedef {import('@shopify/hydrogen').HydrogenRouterContextProvider} HydrogenRouterContextProvider */
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {
+  checkAIRateLimit,
+  createRateLimiter,
+  getClientIp,
+} from '~/lib/rateLimit';
+import {createMemoryStateStore} from '~/lib/stateStore';
+
+describe('createRateLimiter', () => {
+  it('allows a burst up to the capacity', async () => {
+    const limiter = createRateLimiter({
+      store: createMemoryStateStore(),
+      capacity: 2,
+      refillPerSecond: 0.5,
+    });
+
+    assert.deepEqual(await limiter.consume('ip'), {
+      allowed: true,
+      remaining: 1,
+      retryAfter: 0,
+    });
+    assert.equal((await limiter.consume('ip')).allowed, true);
+    assert.deepEqual(await limiter.consume('ip'), {
+      allowed: false,
+      remaining: 0,
+      retryAfter: 2,
+    });
+    assert.equal((await limiter.consume('other')).allowed, true);
+  });
+
+  it('refills over time', async (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = createRateLimiter({
+      store: createMemoryStateStore(),
+      capacity: 1,
+      refillPerSecond: 1,
+    });
+
+    assert.equal((await limiter.consume('ip')).allowed, true);
+    now += 500;
+    assert.equal((await limiter.consume('ip')).allowed, false);
+    now += 1000;
+    assert.equal((await limiter.consume('ip')).allowed, true);
+  });
+});
+
+describe('checkAIRateLimit', () => {
+  /**
+   * @param {Record<string, string>} env
+   */
+  const createContext = (env) => {
+    const values = new Map();
+
+    return {
+      env,
+      rateLimitStore: createMemoryStateStore(),
+      session: {
+        get: (key) => values.get(key),
+        set: (key, value) => values.set(key, value),
+      },
+    };
+  };
+
+  it('limits each session and IP per scope', async () => {
+    const context = createContext({AI_RATE_LIMIT_CAPACITY: '1'});
+    const request = new Request('https://shop.test/', {
+      headers: {'x-forwarded-for': '203.0.113.1, 10.0.0.1'},
+    });
+
+    assert.equal(await checkAIRateLimit(request, context, 'search'), 0);
+    assert.ok((await checkAIRateLimit(request, context, 'search')) > 0);
+    assert.equal(await checkAIRateLimit(request, context, 'assistant'), 0);
+    assert.equal(typeof context.session.get('rateLimitId'), 'string');
+  });
+});
+
+describe('getClientIp', () => {
+  it('prefers the Oxygen buyer IP header', () => {
+    const request = new Request('https://shop.test/', {
+      headers: {
+        'oxygen-buyer-ip': '198.51.100.7',
+        'cf-connecting-ip': '198.51.100.8',
+        'x-forwarded-for': '198.51.100.9',
+      },
+    });
+
+    assert.equal(getClientIp(request), '198.51.100.7');
+  });
+
+  it('falls back to unknown', () => {
+    assert.equal(getClientIp(new Request('https://shop.test/')), 'unknown');
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Browser-only "recently viewed products" history, kept in localStorage so it
+ * never leaves the shopper's device unless it's sent with a recommendation
+ * request. Only written while the shopper has consented to tracking, see
+ * `RecentlyViewedTracker`, and only sent while they still do.
+ */
+
+import {MAX_RECENTLY_VIEWED_PRODUCTS} from '~/lib/recommendations';
+
+const STORAGE_KEY = 'recentlyViewedProducts';
+
+/** Search param listing the shopper's recently viewed product GIDs */
+export const RECENTLY_VIEWED_PARAM = 'recentlyViewed';
+
+/**
+ * @returns {string[]} Product GIDs, most recent first
+ */
+export function getRecentlyViewedProductIds() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? '[]');
+    return Array.isArray(stored)
+      ? stored.filter((id) => typeof id === 'string')
+      : [];
+  } catch {
+    // localStorage is unavailable (SSR, private mode) or holds invalid JSON
+    return [];
+  }
+}
+
+/**
+ * @param {string} productId Product GID
+ */
+export function addRecentlyViewedProduct(productId) {
+  const ids = [
+    productId,
+    ...getRecentlyViewedProductIds().filter((id) => id !== productId),
+  ].slice(0, MAX_RECENTLY_VIEWED_PRODUCTS);
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+  } catch {
+    // Storage is full or disabled, personalization is best-effort
+  }
+}
+
+export function clearRecentlyViewed() {
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Nothing stored
+  }
+}
@@ -0,0 +1,365 @@
+import {CacheCustom, CacheNone} from '@shopify/hydrogen';
+import {getGeminiRecommendations} from '~/lib/gemini';
+import {createResilientAIProvider} from '~/lib/aiResilience';
+
+const DEFAULT_CACHE_TTL = 60 * 60; // 1 hour
+const DEFAULT_CACHE_SWR = 60 * 60 * 23; // 23 hours
+
+/** Maximum number of candidate products accepted per request */
+export const MAX_RECOMMENDATION_CANDIDATES = 50;
+/** Maximum number of recently viewed products used for personalization */
+export const MAX_RECENTLY_VIEWED_PRODUCTS = 10;
+const MAX_USER_QUERY_LENGTH = 200;
+const PRODUCT_GID_PATTERN = /^gid:\/\/shopify\/Product\/\d+$/;
+
+/**
+ * Resolve the recommendation candidates from the catalog instead of trusting
+ * product data sent by the client. Only product IDs or a collection handle are
+ * accepted; anything the Storefront API doesn't return is discarded, so the
+ * prompt only ever contains merchant-authored product data.
+ * @param {Storefront} storefront
+ * @param {RecommendationRequest} request
+ * @returns {Promise<RecommendationInput>}
+ */
+export async function resolveRecommendationInput(storefront, request) {
+  const productIds = sanitizeProductIds(request.productIds);
+  const currentProductId = sanitizeProductIds([request.currentProductId])[0];
+  const recentlyViewedIds = sanitizeProductIds(request.recentlyViewedIds).slice(
+    0,
+    MAX_RECENTLY_VIEWED_PRODUCTS,
+  );
+  const ids = [
+    ...new Set([
+      ...(currentProductId ? [currentProductId] : []),
+      ...productIds,
+      ...recentlyViewedIds,
+    ]),
+  ];
+  const collectionHandle =
+    typeof request.collectionHandle === 'string'
+      ? request.collectionHandle.trim()
+      : '';
+
+  const [nodesData, collectionData] = await Promise.all([
+    ids.length
+      ? storefront.query(RECOMMENDATION_PRODUCTS_QUERY, {
+          cache: storefront.CacheShort(),
+          variables: {ids},
+        })
+      : null,
+    collectionHandle
+      ? storefront.query(RECOMMENDATION_COLLECTION_QUERY, {
+          cache: storefront.CacheShort(),
+          variables: {
+            handle: collectionHandle,
+            first: MAX_RECOMMENDATION_CANDIDATES,
+          },
+        })
+      : null,
+  ]);
+
+  const productsById = new Map(
+    (nodesData?.nodes ?? [])
+      .filter((node) => node?.__typename === 'Product')
+      .map((product) => [product.id, product]),
+  );
+  const currentProduct = productsById.get(currentProductId);
+
+  const candidates = new Map();
+  for (const product of [
+    ...productIds.map((id) => productsById.get(id)).filter(Boolean),
+    ...(collectionData?.collection?.products.nodes ?? []),
+  ]) {
+    if (product.id === currentProduct?.id) continue;
+    candidates.set(product.id, product);
+  }
+
+  const recentlyViewed = recentlyViewedIds
+    .filter((id) => id !== currentProductId)
+    .map((id) => productsById.get(id)?.title)
+    .filter(Boolean);
+
+  return {
+    currentProductTitle: currentProduct?.title,
+    currentProductDescription: currentProduct?.description,
+    availableProducts: [...candidates.values()].slice(
+      0,
+      MAX_RECOMMENDATION_CANDIDATES,
+    ),
+    userQuery: sanitizeUserQuery(request.userQuery),
+    recentlyViewed,
+  };
+}
+
+/**
+ * Products in the shopper's cart, for `withCartContext`.
+ * @param {HydrogenCart} cart
+ * @returns {Promise<Array<{id: string; title: string}>>}
+ */
+export async function getCartProducts(cart) {
+  const cartData = await cart.get();
+
+  const products = new Map();
+  for (const line of cartData?.lines?.nodes ?? []) {
+    const {id, title} = line.merchandise.product;
+    products.set(id, {id, title});
+  }
+
+  return [...products.values()];
+}
+
+/**
+ * Adds the cart contents to the recommendation context and removes the
+ * products already in the cart from the candidates.
+ * @param {RecommendationInput} input
+ * @param {Array<{id: string; title: string}>} cartProducts
+ * @returns {RecommendationInput}
+ */
+export function withCartContext(input, cartProducts) {
+  if (!cartProducts.length) return input;
+
+  const cartProductIds = new Set(cartProducts.map((product) => product.id));
+
+  return {
+    ...input,
+    availableProducts: input.availableProducts.filter(
+      (product) => !cartProductIds.has(product.id),
+    ),
+    inCart: cartProducts.map((product) => product.title),
+  };
+}
+
+/**
+ * Get AI recommendations, served from the worker cache when an identical
+ * request (same product, candidates, query, shopper context and locale) was
+ * answered recently.
+ * Cached entries are revalidated in the background once they go stale.
+ * Configure with `AI_RECOMMENDATIONS_CACHE_TTL` and
+ * `AI_RECOMMENDATIONS_CACHE_SWR` (seconds, `0` disables caching).
+ * @param {RecommendationsContext} context
+ * @param {AIProvider} provider
+ * @param {RecommendationInput} input
+ * @param {{refresh?: boolean}} [options] `refresh` skips the cache, for
+ * shoppers asking for new recommendations
+ * @returns {Promise<Array<AIRecommendation>>} Validated recommendations
+ * @throws {AIError} See `getGeminiRecommendations`
+ */
+export async function getCachedRecommendations(
+  context,
+  provider,
+  input,
+  {refresh = false} = {},
+) {
+  if (refresh) return getGeminiRecommendations(provider, input);
+
+  const {withCache, env, storefront} = context;
+  const {language, country} = storefront.i18n;
+
+  const cacheKey = await hashCacheKey([
+    provider.name,
+    provider.model,
+    input.currentProductTitle ?? '',
+    input.availableProducts.map((product) => product.handle).sort(),
+    input.userQuery ?? '',
+    input.recentlyViewed ?? [],
+    input.inCart ?? [],
+    `${language}-${country}`,
+  ]);
+
+  return withCache.run(
+    {
+      cacheKey: ['ai-recommendations', cacheKey],
+      cacheStrategy: getCacheStrategy(env),
+      shouldCacheResult: (recommendations) => recommendations.length > 0,
+    },
+    () => getGeminiRecommendations(provider, input),
+  );
+}
+
+/**
+ * Loader-friendly variant of `getCachedRecommendations` for deferred data:
+ * uses the provider configured by the environment and never throws.
+ * @param {RecommendationsContext} context
+ * @param {RecommendationInput} input
+ * @returns {Promise<Array<AIRecommendation> | null>} Recommendations, or null
+ * when no provider is configured or the AI call failed
+ */
+export async function loadAIRecommendations(context, input) {
+  if (input.availableProducts.length === 0) return null;
+
+  try {
+    const provider = createResilientAIProvider(context.env, {
+      store: context.circuitBreakerStore,
+    });
+    if (!provider) return null;
+
+    return await getCachedRecommendations(context, provider, input);
+  } catch (error) {
+    // Log AI errors, but don't throw them so the page can still render
+    console.error(error);
+    return null;
+  }
+}
+
+/**
+ * @param {unknown} ids
+ * @returns {string[]}
+ */
+function sanitizeProductIds(ids) {
+  if (!Array.isArray(ids)) return [];
+
+  const valid = ids.filter(
+    (id) => typeof id === 'string' && PRODUCT_GID_PATTERN.test(id),
+  );
+
+  return [...new Set(valid)].slice(0, MAX_RECOMMENDATION_CANDIDATES);
+}
+
+/**
+ * Keeps the free-text preference short and on a single line so it can't
+ * restructure the prompt.
+ * @param {unknown} query
+ */
+function sanitizeUserQuery(query) {
+  if (typeof query !== 'string') return undefined;
+
+  const sanitized = query
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_USER_QUERY_LENGTH);
+
+  return sanitized || undefined;
+}
+
+/**
+ * @param {Env} env
+ */
+function getCacheStrategy(env) {
+  const maxAge = parseSeconds(
+    env.AI_RECOMMENDATIONS_CACHE_TTL,
+    DEFAULT_CACHE_TTL,
+  );
+  const staleWhileRevalidate = parseSeconds(
+    env.AI_RECOMMENDATIONS_CACHE_SWR,
+    DEFAULT_CACHE_SWR,
+  );
+
+  if (maxAge === 0) return CacheNone();
+
+  return CacheCustom({
+    mode: 'public',
+    maxAge,
+    staleWhileRevalidate,
+  });
+}
+
+/**
+ * @param {string | undefined} value
+ * @param {number} fallback
+ */
+function parseSeconds(value, fallback) {
+  const seconds = Number.parseInt(value ?? '', 10);
+  return Number.isNaN(seconds) || seconds < 0 ? fallback : seconds;
+}
+
+/**
+ * Hashes the cache key parts so long product lists and free-text queries
+ * produce a short, fixed-length key.
+ * @param {unknown[]} parts
+ */
+async function hashCacheKey(parts) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(JSON.stringify(parts)),
+  );
+
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+const RECOMMENDATION_CANDIDATE_FRAGMENT = `#graphql
+  fragment RecommendationCandidate on Product {
+    id
+    title
+    handle
+    description
+    vendor
+    priceRange {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+  }
+`;
+
+const RECOMMENDATION_PRODUCTS_QUERY = `#graphql
+  query RecommendationProducts(
+    $country: CountryCode
+    $ids: [ID!]!
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    nodes(ids: $ids) {
+      __typename
+      ...RecommendationCandidate
+    }
+  }
+  ${RECOMMENDATION_CANDIDATE_FRAGMENT}
+`;
+
+const RECOMMENDATION_COLLECTION_QUERY = `#graphql
+  query RecommendationCollection(
+    $country: CountryCode
+    $first: Int!
+    $handle: String!
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    collection(handle: $handle) {
+      products(first: $first) {
+        nodes {
+          ...RecommendationCandidate
+        }
+      }
+    }
+  }
+  ${RECOMMENDATION_CANDIDATE_FRAGMENT}
+`;
+
+/**
+ * What the client may send: references into the catalog, never product data.
+ * @typedef {Object} RecommendationRequest
+ * @property {string} [currentProductId] Product GID the shopper is viewing
+ * @property {string[]} [productIds] Candidate product GIDs
+ * @property {string} [collectionHandle] Collection whose products are candidates
+ * @property {string} [userQuery] Free-text shopper preference
+ * @property {string[]} [recentlyViewedIds] Product GIDs the shopper viewed
+ * recently, most recent first
+ */
+/**
+ * @typedef {Object} RecommendationInput
+ * @property {string} [currentProductTitle]
+ * @property {string} [currentProductDescription]
+ * @property {Array<{id?: string; handle: string}>} availableProducts
+ * @property {string} [userQuery]
+ * @property {string[]} [recentlyViewed] Titles of recently viewed products
+ * @property {string[]} [inCart] Titles of the products in the cart
+ */
+/**
+ * @typedef {Pick<
+ *   HydrogenRouterContextProvider,
+ *   'env' | 'storefront'
+ * > & {
+ *   withCache: WithCache;
+ *   circuitBreakerStore?: CircuitBreakerStore;
+ * }} RecommendationsContext
+ */
+
+/** @typedef {import('~/lib/aiProvider').AIProvider} AIProvider */
+/** @typedef {import('~/lib/aiProvider').AIError} AIError */
+/** @typedef {import('~/lib/aiResilience').CircuitBreakerStore} CircuitBreakerStore */
+/** @typedef {import('~/lib/gemini').AIRecommendation} AIRecommendation */
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('@shopify/hydrogen').HydrogenCart} HydrogenCart */
+/** @typedef {import('@shopify/hydrogen').WithCache} WithCache */
+/** @typedef {import('@shopify/hydrogen').HydrogenRouterContextProvider} HydrogenRouterContextProvider */
@@ -61,7 +61,9 @@ export function urlWithTrackingParams({
  * @typedef {ResultWithItems<
  *   'regular',
  *   RegularSearchQuery
- * >} RegularSearchReturn
+ * > & {
+ *   semantic: {available: boolean; enabled: boolean};
+ * }} RegularSearchReturn
  */
 /**
  * @typedef {ResultWithItems<
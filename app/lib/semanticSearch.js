@@ -0,0 +1,398 @@
+import {CacheLong} from '@shopify/hydrogen';
+
+/**
+ * Semantic product search: product titles, descriptions and attributes are
+ * embedded by the configured AI provider into a vector index that is kept in
+ * the context's `semanticIndexStore`. Queries are embedded the same way and
+ * answered by cosine similarity.
+ *
+ * The index covers up to `MAX_INDEXED_PRODUCTS` available products and is
+ * read on every semantic query, so its vectors are stored quantized to one
+ * signed byte per dimension, base64 encoded: about 1 MB for 1000 products
+ * with 768-dimension embeddings, a quarter of Float32 vectors.
+ *
+ * The index is built after the response is sent (`waitUntil`), so the first
+ * semantic queries get no matches and shoppers see the keyword results until
+ * it exists. Builds are time limited, and a running or failed build holds off
+ * the next one for `INDEX_BUILD_LOCK_TTL`.
+ *
+ * Configured by environment variables:
+ * - `SEMANTIC_SEARCH_INDEX_TTL`: seconds before the index is rebuilt in the
+ *   background (default 1 day).
+ * - `SEMANTIC_SEARCH_MIN_SCORE`: minimum cosine similarity for a product to
+ *   match (default 0.3). Score ranges differ between embedding models.
+ */
+
+const DEFAULT_INDEX_TTL = 60 * 60 * 24; // 1 day
+const INDEX_STALE_WHILE_REVALIDATE = 60 * 60 * 24 * 6; // 6 days
+const INDEX_BUILD_TIMEOUT_MS = 25 * 1000;
+const INDEX_BUILD_LOCK_TTL = 5 * 60; // 5 minutes
+const DEFAULT_MIN_SCORE = 0.3;
+const INDEX_PAGE_SIZE = 250;
+const MAX_INDEXED_PRODUCTS = 1000;
+const EMBEDDING_BATCH_SIZE = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_QUERY_LENGTH = 200;
+// Quantized vector values range from -127 to 127
+const QUANTIZED_MAX = 127;
+// Part of the store key, so indexes stored in an older format are rebuilt
+const INDEX_FORMAT = 'int8';
+// Reciprocal rank fusion constant, dampens the weight of the top ranks
+const RANK_FUSION_K = 60;
+
+/**
+ * Ranks the catalog by similarity to `term`.
+ * @param {SemanticSearchContext} context
+ * @param {AIProvider} provider
+ * @param {string} term
+ * @param {{limit?: number}} [options]
+ * @returns {Promise<SemanticMatch[]>} Best matches first, none while the
+ * index is being built
+ * @throws {AIError} When the provider fails to embed the term
+ */
+export async function semanticSearch(
+  context,
+  provider,
+  term,
+  {limit = 8} = {},
+) {
+  const query = term.replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+  if (!query) return [];
+
+  const index = await getSemanticIndex(context, provider);
+  if (!index) return [];
+
+  const queryVector = await embedQuery(context, provider, query);
+  const minScore = parseScore(
+    context.env.SEMANTIC_SEARCH_MIN_SCORE,
+    DEFAULT_MIN_SCORE,
+  );
+
+  const vectors = new Int8Array(fromBase64(index.vectors).buffer);
+  const dimensions = Math.min(index.dimensions, queryVector.length);
+
+  return index.ids
+    .map((id, position) => {
+      const offset = position * index.dimensions;
+      let score = 0;
+      for (let dimension = 0; dimension < dimensions; dimension++) {
+        score += queryVector[dimension] * vectors[offset + dimension];
+      }
+      return {id, score: score * index.scales[position]};
+    })
+    .filter(({score}) => score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * The catalog's embedding index for the storefront's locale. A missing or
+ * stale index is (re)built in the background; a stale one is still served.
+ * @param {SemanticSearchContext} context
+ * @param {AIProvider} provider
+ * @returns {Promise<SemanticIndex | null>} Null until the index is built
+ */
+export async function getSemanticIndex(context, provider) {
+  const {semanticIndexStore, env, storefront} = context;
+  const {language, country} = storefront.i18n;
+  const maxAge = parseSeconds(env.SEMANTIC_SEARCH_INDEX_TTL, DEFAULT_INDEX_TTL);
+  const key = [
+    provider.name,
+    provider.embeddingModel,
+    `${language}-${country}`,
+    INDEX_FORMAT,
+  ].join(':');
+
+  /** @type {{builtAt: number; index: SemanticIndex} | null} */
+  const entry = await semanticIndexStore.get(key);
+  if (!entry || Date.now() - entry.builtAt > maxAge * 1000) {
+    await scheduleIndexBuild(context, provider, key, maxAge);
+  }
+
+  return entry?.index ?? null;
+}
+
+/**
+ * Merges keyword and semantic results with reciprocal rank fusion, so products
+ * both searches agree on come first and each list contributes its best hits.
+ * @template {{id: string}} T
+ * @param {T[]} keywordProducts
+ * @param {T[]} semanticProducts
+ * @returns {T[]}
+ */
+export function mergeSearchResults(keywordProducts, semanticProducts) {
+  /** @type {Map<string, {product: T; score: number}>} */
+  const merged = new Map();
+
+  for (const products of [keywordProducts, semanticProducts]) {
+    products.forEach((product, rank) => {
+      const entry = merged.get(product.id) ?? {product, score: 0};
+      entry.score += 1 / (RANK_FUSION_K + rank + 1);
+      merged.set(product.id, entry);
+    });
+  }
+
+  return [...merged.values()]
+    .sort((a, b) => b.score - a.score)
+    .map(({product}) => product);
+}
+
+/**
+ * Builds the index after the response unless another build holds the lock,
+ * which is kept after a failure so it's only retried once the lock expires.
+ * @param {SemanticSearchContext} context
+ * @param {AIProvider} provider
+ * @param {string} key
+ * @param {number} maxAge
+ */
+async function scheduleIndexBuild(context, provider, key, maxAge) {
+  const {semanticIndexStore: store, storefront, waitUntil} = context;
+  const lockKey = `${key}:build`;
+  if (await store.get(lockKey)) return;
+
+  await store.set(lockKey, {startedAt: Date.now()}, INDEX_BUILD_LOCK_TTL);
+  waitUntil(
+    buildSemanticIndex(
+      storefront,
+      provider,
+      AbortSignal.timeout(INDEX_BUILD_TIMEOUT_MS),
+    )
+      .then(async (index) => {
+        if (!index.ids.length) return;
+        await store.set(
+          key,
+          {builtAt: Date.now(), index},
+          maxAge + INDEX_STALE_WHILE_REVALIDATE,
+        );
+      })
+      .catch((error) => console.error(error)),
+  );
+}
+
+/**
+ * @param {Storefront} storefront
+ * @param {AIProvider} provider
+ * @param {AbortSignal} signal Aborts the build between pages and batches
+ * @returns {Promise<SemanticIndex>}
+ */
+async function buildSemanticIndex(storefront, provider, signal) {
+  const products = [];
+  let cursor = null;
+
+  do {
+    signal.throwIfAborted();
+    const {products: page} = await storefront.query(
+      SEMANTIC_INDEX_PRODUCTS_QUERY,
+      {
+        cache: storefront.CacheNone(),
+        variables: {first: INDEX_PAGE_SIZE, endCursor: cursor},
+      },
+    );
+    products.push(...page.nodes.filter((product) => product.availableForSale));
+    cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (cursor && products.length < MAX_INDEXED_PRODUCTS);
+
+  const indexed = products.slice(0, MAX_INDEXED_PRODUCTS);
+  const vectors = [];
+  for (let start = 0; start < indexed.length; start += EMBEDDING_BATCH_SIZE) {
+    signal.throwIfAborted();
+    const batch = indexed.slice(start, start + EMBEDDING_BATCH_SIZE);
+    vectors.push(...(await provider.embed({texts: batch.map(toIndexText)})));
+  }
+
+  return {
+    model: provider.embeddingModel,
+    ids: indexed.map((product) => product.id),
+    ...quantizeVectors(vectors),
+  };
+}
+
+/**
+ * Scales each unit vector so its largest value is `QUANTIZED_MAX` and rounds
+ * it to signed bytes. A value times its vector's scale is close to the
+ * original value.
+ * @param {number[][]} vectors
+ * @returns {Pick<SemanticIndex, 'dimensions' | 'scales' | 'vectors'>}
+ */
+function quantizeVectors(vectors) {
+  const dimensions = vectors[0]?.length ?? 0;
+  const bytes = new Int8Array(vectors.length * dimensions);
+
+  const scales = vectors.map((vector, position) => {
+    const unit = normalize(vector);
+    const max = Math.max(...unit.map(Math.abs)) || 1;
+    unit.slice(0, dimensions).forEach((value, dimension) => {
+      bytes[position * dimensions + dimension] = Math.round(
+        (value / max) * QUANTIZED_MAX,
+      );
+    });
+    return max / QUANTIZED_MAX;
+  });
+
+  return {dimensions, scales, vectors: toBase64(new Uint8Array(bytes.buffer))};
+}
+
+/**
+ * @param {Uint8Array} bytes
+ */
+function toBase64(bytes) {
+  let binary = '';
+  // Chunked, spreading every byte at once overflows the call stack
+  for (let start = 0; start < bytes.length; start += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(start, start + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ */
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index++) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return bytes;
+}
+
+/**
+ * Query embeddings are cached too, popular searches don't hit the provider.
+ * @param {SemanticSearchContext} context
+ * @param {AIProvider} provider
+ * @param {string} query
+ * @returns {Promise<number[]>}
+ */
+function embedQuery(context, provider, query) {
+  return context.withCache.run(
+    {
+      cacheKey: [
+        'semantic-search-query',
+        provider.name,
+        provider.embeddingModel,
+        query.toLowerCase(),
+      ],
+      cacheStrategy: CacheLong(),
+      shouldCacheResult: (vector) => vector.length > 0,
+    },
+    async () => {
+      const [vector] = await provider.embed({texts: [query]});
+      return normalize(vector);
+    },
+  );
+}
+
+/**
+ * @param {SemanticIndexProductFragment} product
+ */
+function toIndexText(product) {
+  return [
+    product.title,
+    product.productType,
+    product.vendor,
+    product.tags.length ? `Tags: ${product.tags.join(', ')}` : '',
+    product.description.slice(0, MAX_DESCRIPTION_LENGTH),
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Unit-length vectors turn cosine similarity into a dot product.
+ * @param {number[]} vector
+ */
+function normalize(vector) {
+  const length = Math.sqrt(dotProduct(vector, vector));
+  return length ? vector.map((value) => value / length) : vector;
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ */
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let index = 0; index < Math.min(a.length, b.length); index++) {
+    sum += a[index] * b[index];
+  }
+  return sum;
+}
+
+/**
+ * @param {string | undefined} value
+ * @param {number} fallback
+ */
+function parseSeconds(value, fallback) {
+  const seconds = Number.parseInt(value ?? '', 10);
+  return Number.isNaN(seconds) || seconds <= 0 ? fallback : seconds;
+}
+
+/**
+ * @param {string | undefined} value
+ * @param {number} fallback
+ */
+function parseScore(value, fallback) {
+  const score = Number.parseFloat(value ?? '');
+  return Number.isNaN(score) ? fallback : score;
+}
+
+const SEMANTIC_INDEX_PRODUCTS_QUERY = `#graphql
+  query SemanticIndexProducts(
+    $country: CountryCode
+    $endCursor: String
+    $first: Int!
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    products(first: $first, after: $endCursor) {
+      nodes {
+        ...SemanticIndexProduct
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+  fragment SemanticIndexProduct on Product {
+    id
+    title
+    description
+    productType
+    vendor
+    tags
+    availableForSale
+  }
+`;
+
+/**
+ * @typedef {Object} SemanticIndex
+ * @property {string} model Embedding model the vectors come from
+ * @property {string[]} ids Product GIDs, in the order of their vectors
+ * @property {number} dimensions Values per vector
+ * @property {number[]} scales Per vector, turns its quantized values back
+ * into the unit vector's values
+ * @property {string} vectors Base64 of the quantized vectors, one signed
+ * byte per value
+ */
+/**
+ * @typedef {Object} SemanticMatch
+ * @property {string} id Product GID
+ * @property {number} score Cosine similarity to the query
+ */
+/**
+ * @typedef {Pick<
+ *   HydrogenRouterContextProvider,
+ *   'env' | 'storefront' | 'waitUntil'
+ * > & {
+ *   withCache: WithCache;
+ *   semanticIndexStore: StateStore<any>;
+ * }} SemanticSearchContext
+ */
+
+/** @typedef {import('~/lib/aiProvider').AIProvider} AIProvider */
+/** @typedef {import('~/lib/aiProvider').AIError} AIError */
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('@shopify/hydrogen').WithCache} WithCache */
+/** @template T @typedef {import('~/lib/stateStore').StateStore<T>} StateStore */
+/** @typedef {import('@shopify/hydrogen').HydrogenRouterContextProvider} HydrogenRouterContextProvider */
+/** @typedef {import('storefrontapi.generated').SemanticIndexProductFragment} SemanticIndexProductFragment */
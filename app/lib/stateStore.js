@@ -0,0 +1,73 @@
+/**
+ * Small key-value stores for state shared between requests, such as rate
+ * limit buckets and circuit breakers. Values must be JSON-serializable and
+ * expire after their TTL.
+ */
+
+/**
+ * Stores values in the worker cache (`caches.open(...)`), shared by the
+ * requests served from the same data center.
+ * @param {Cache} cache
+ * @param {string} namespace Keeps the keys of different stores apart
+ * @returns {StateStore<any>}
+ */
+export function createCacheStateStore(cache, namespace) {
+  /**
+   * @param {string} key
+   */
+  const toRequest = (key) =>
+    new Request(
+      `https://${namespace}.state.hydrogen/${encodeURIComponent(key)}`,
+    );
+
+  return {
+    async get(key) {
+      const response = await cache.match(toRequest(key));
+      return response ? response.json() : null;
+    },
+    async set(key, value, ttl) {
+      await cache.put(
+        toRequest(key),
+        new Response(JSON.stringify(value), {
+          headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': `max-age=${Math.max(1, Math.ceil(ttl))}`,
+          },
+        }),
+      );
+    },
+  };
+}
+
+/**
+ * Stores values in memory, e.g. for local development and scripts. Entries
+ * only live as long as the worker instance.
+ * @returns {StateStore<any>}
+ */
+export function createMemoryStateStore() {
+  /** @type {Map<string, {value: unknown; expiresAt: number}>} */
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttl) {
+      entries.set(key, {value, expiresAt: Date.now() + ttl * 1000});
+    },
+  };
+}
+
+/**
+ * @template T
+ * @typedef {Object} StateStore
+ * @property {(key: string) => Promise<T | null>} get
+ * @property {(key: string, value: T, ttl: number) => Promise<void>} set
+ * `ttl` is in seconds
+ */
@@ -15,6 +15,7 @@ import resetStyles from '~/styles/reset.css?url';
 import appStyles from '~/styles/app.css?url';
 import tailwindCss from './styles/tailwind.css?url';
 import {PageLayout} from './components/PageLayout';
+import {RecentlyViewedTracker} from './components/RecentlyViewedTracker';
 
 const GA_MEASUREMENT_ID = 'G-GW71H6E9KT';
 
@@ -209,6 +210,7 @@ export default function App() {
       <PageLayout {...data}>
         <Outlet />
       </PageLayout>
+      <RecentlyViewedTracker />
     </Analytics.Provider>
   );
 }
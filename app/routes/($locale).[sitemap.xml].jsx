@@ -7,6 +7,7 @@ export async function loader({request, context: {storefront}}) {
   const response = await getSitemapIndex({
     storefront,
     request,
+    customChildSitemaps: ['/sitemap/bundles/1.xml'],
   });
 
   response.headers.set('Cache-Control', `max-age=${60 * 60 * 24}`);
@@ -3,6 +3,11 @@ import {Suspense} from 'react';
 import {Image} from '@shopify/hydrogen';
 import {ProductItem} from '~/components/ProductItem';
 import {AIRecommender} from '~/components/AIRecommender';
+import {
+  getCartProducts,
+  loadAIRecommendations,
+  withCartContext,
+} from '~/lib/recommendations';
 
 /**
  * @type {Route.MetaFunction}
@@ -63,9 +68,34 @@ function loadDeferredData({context}) {
       return null;
     });
 
+  const cartProducts = getCartProducts(context.cart).catch((error) => {
+    console.error(error);
+    return [];
+  });
+
+  // Resolve AI recommendations on the server so they stream in with the page,
+  // personalized with the cart contents
+  const aiRecommendations = Promise.all([allProductsForAI, cartProducts]).then(
+    ([productsData, cart]) =>
+      loadAIRecommendations(
+        context,
+        withCartContext(
+          {availableProducts: productsData?.products?.nodes ?? []},
+          cart,
+        ),
+      ),
+  );
+
+  // Combined once here, so the Await below gets the same promise every render
+  const aiRecommender = Promise.all([
+    allProductsForAI,
+    recommendedProducts,
+    aiRecommendations,
+  ]);
+
   return {
     recommendedProducts,
-    allProductsForAI,
+    aiRecommender,
   };
 }
 
@@ -76,10 +106,7 @@ export default function Homepage() {
     <div className="home">
       <FeaturedCollection collection={data.featuredCollection} />
       <RecommendedProducts products={data.recommendedProducts} />
-      <AIRecommenderSection
-        allProductsForAI={data.allProductsForAI}
-        recommendedProducts={data.recommendedProducts}
-      />
+      <AIRecommenderSection aiRecommender={data.aiRecommender} />
     </div>
   );
 }
@@ -87,18 +114,19 @@ export default function Homepage() {
 /**
  * Component to handle AI recommender with async data
  * @param {{
- *   allProductsForAI: Promise<any>;
- *   recommendedProducts: Promise<any>;
+ *   aiRecommender: Promise<[any, any, AIRecommendation[] | null]>;
  * }}
  */
-function AIRecommenderSection({allProductsForAI, recommendedProducts}) {
+function AIRecommenderSection({aiRecommender}) {
   return (
     <Suspense fallback={<div>Loading AI recommendations...</div>}>
-      <Await resolve={Promise.all([allProductsForAI, recommendedProducts])}>
-        {([productsData, recommendedData]) => (
+      <Await resolve={aiRecommender}>
+        {([productsData, recommendedData, recommendations]) => (
           <AIRecommender
             availableProducts={productsData?.products?.nodes || []}
             fallbackProducts={recommendedData?.products?.nodes || []}
+            initialRecommendations={recommendations}
+            personalize
           />
         )}
       </Await>
@@ -242,4 +270,5 @@ const ALL_PRODUCTS_FOR_AI_QUERY = `#graphql
 /** @typedef {import('./+types/_index').Route} Route */
 /** @typedef {import('storefrontapi.generated').FeaturedCollectionFragment} FeaturedCollectionFragment */
 /** @typedef {import('storefrontapi.generated').RecommendedProductsQuery} RecommendedProductsQuery */
+/** @typedef {import('~/lib/gemini').AIRecommendation} AIRecommendation */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
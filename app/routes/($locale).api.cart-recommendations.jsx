@@ -0,0 +1,140 @@
+import {RECENTLY_VIEWED_PARAM} from '~/lib/recentlyViewed';
+import {
+  getCartProducts,
+  loadAIRecommendations,
+  resolveRecommendationInput,
+} from '~/lib/recommendations';
+import {checkAIRateLimit} from '~/lib/rateLimit';
+
+// Seed products per request, each is one productRecommendations lookup
+const MAX_SEED_PRODUCTS = 3;
+const MAX_RAIL_PRODUCTS = 6;
+
+/**
+ * "Complete the look" products for the cart drawer. The cart's products seed
+ * Shopify's COMPLEMENTARY product recommendations; products already in the
+ * cart are excluded. When an AI provider is configured and the shopper isn't
+ * rate limited, the candidates are re-ranked by the AI helper and come back
+ * with a reason, personalized with the recently viewed products listed in
+ * the `recentlyViewed` search params.
+ *
+ * Responds with `{products, recommendations}`, `products` in display order.
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  const cartProducts = await getCartProducts(context.cart);
+  if (!cartProducts.length) {
+    return Response.json({products: [], recommendations: []});
+  }
+
+  const seeds = cartProducts.slice(0, MAX_SEED_PRODUCTS);
+  const results = await Promise.all(
+    seeds.map(({id}) =>
+      context.storefront
+        .query(CART_COMPLEMENTARY_PRODUCTS_QUERY, {
+          cache: context.storefront.CacheShort(),
+          variables: {productId: id},
+        })
+        .catch((error) => {
+          console.error(error);
+          return null;
+        }),
+    ),
+  );
+
+  const cartProductIds = new Set(cartProducts.map((product) => product.id));
+  const candidates = new Map();
+  for (const product of results.flatMap(
+    (result) => result?.productRecommendations ?? [],
+  )) {
+    if (!cartProductIds.has(product.id)) {
+      candidates.set(product.id, product);
+    }
+  }
+  const availableProducts = [...candidates.values()];
+
+  // Re-ranking spends AI quota, so it's skipped once the shopper is limited
+  const canRerank =
+    availableProducts.length > 1 &&
+    !(await checkAIRateLimit(request, context, 'cart-recommendations'));
+  let recommendations = [];
+  if (canRerank) {
+    // Resolves the client's product IDs to catalog titles
+    const {recentlyViewed} = await resolveRecommendationInput(
+      context.storefront,
+      {
+        recentlyViewedIds: new URL(request.url).searchParams.getAll(
+          RECENTLY_VIEWED_PARAM,
+        ),
+      },
+    );
+    recommendations =
+      (await loadAIRecommendations(context, {
+        availableProducts,
+        inCart: cartProducts.map((product) => product.title),
+        recentlyViewed,
+      })) ?? [];
+  }
+
+  // AI picks first, then the remaining complementary products in order
+  const aiHandles = new Set(recommendations.map(({handle}) => handle));
+  const products = [
+    ...recommendations.map(({handle}) =>
+      availableProducts.find((product) => product.handle === handle),
+    ),
+    ...availableProducts.filter((product) => !aiHandles.has(product.handle)),
+  ].slice(0, MAX_RAIL_PRODUCTS);
+
+  return Response.json({products, recommendations});
+}
+
+const CART_RECOMMENDATION_PRODUCT_FRAGMENT = `#graphql
+  fragment CartRecommendationProduct on Product {
+    id
+    title
+    handle
+    description
+    vendor
+    priceRange {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+    featuredImage {
+      id
+      url
+      altText
+      width
+      height
+    }
+    selectedOrFirstAvailableVariant {
+      id
+      availableForSale
+    }
+  }
+`;
+
+const CART_COMPLEMENTARY_PRODUCTS_QUERY = `#graphql
+  query CartComplementaryProducts(
+    $country: CountryCode
+    $language: LanguageCode
+    $productId: ID!
+  ) @inContext(country: $country, language: $language) {
+    productRecommendations(productId: $productId, intent: COMPLEMENTARY) {
+      ...CartRecommendationProduct
+    }
+  }
+  ${CART_RECOMMENDATION_PRODUCT_FRAGMENT}
+`;
+
+/**
+ * @typedef {{
+ *   products: CartRecommendationProductFragment[];
+ *   recommendations: AIRecommendation[];
+ * }} CartRecommendationsData
+ */
+
+/** @typedef {import('./+types/api.cart-recommendations').Route} Route */
+/** @typedef {import('~/lib/gemini').AIRecommendation} AIRecommendation */
+/** @typedef {import('storefrontapi.generated').CartRecommendationProductFragment} CartRecommendationProductFragment */
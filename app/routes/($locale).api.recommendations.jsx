@@ -1,7 +1,40 @@
-import {getGeminiRecommendations} from '~/lib/gemini';
+import {
+  getCachedRecommendations,
+  getCartProducts,
+  MAX_RECOMMENDATION_CANDIDATES,
+  resolveRecommendationInput,
+  withCartContext,
+} from '~/lib/recommendations';
+import {AI_ERROR_CATEGORIES, AIError} from '~/lib/aiProvider';
+import {createResilientAIProvider} from '~/lib/aiResilience';
+import {checkAIRateLimit} from '~/lib/rateLimit';
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+const ERROR_STATUS = {
+  [AI_ERROR_CATEGORIES.TIMEOUT]: 504,
+  [AI_ERROR_CATEGORIES.QUOTA]: 503,
+  [AI_ERROR_CATEGORIES.CIRCUIT_OPEN]: 503,
+};
 
 /**
- * API route for AI-powered product recommendations using Gemini
+ * API route for AI-powered product recommendations. The AI provider
+ * (Gemini, OpenAI-compatible, Ollama or mock) is selected by `AI_PROVIDER`.
+ * Results are cached in the worker cache, see `getCachedRecommendations`.
+ *
+ * The request body only references catalog products
+ * (`{currentProductId, productIds, collectionHandle, userQuery,
+ * recentlyViewedIds}`); the candidates are re-fetched from the Storefront API
+ * before prompting. The shopper's cart is added to the context server-side.
+ * `refresh: true` asks the provider again instead of answering from the
+ * cache.
+ *
+ * Responds with `{recommendations: [{handle, reason, confidence}]}`. AI
+ * failures respond with `{error, errorCategory}` (see `AI_ERROR_CATEGORIES`)
+ * so the client can decide how to fall back.
+ *
+ * Requests are rate limited per IP and per session (see `checkAIRateLimit`);
+ * over the limit the route responds 429 with a `Retry-After` header.
  * @param {Route.ActionArgs} args
  */
 export async function action({request, context}) {
@@ -9,34 +42,81 @@ export async function action({request, context}) {
     return Response.json({error: 'Method not allowed'}, {status: 405});
   }
 
+  const retryAfter = await checkAIRateLimit(
+    request,
+    context,
+    'recommendations',
+  );
+  if (retryAfter) {
+    return Response.json(
+      {error: 'Too many requests'},
+      {status: 429, headers: {'Retry-After': String(retryAfter)}},
+    );
+  }
+
+  const body = await readJsonBody(request);
+  if (body instanceof Response) {
+    return body;
+  }
+
+  if (
+    Array.isArray(body?.productIds) &&
+    body.productIds.length > MAX_RECOMMENDATION_CANDIDATES
+  ) {
+    return Response.json(
+      {
+        error: `At most ${MAX_RECOMMENDATION_CANDIDATES} productIds are allowed`,
+      },
+      {status: 400},
+    );
+  }
+
   try {
-    const apiKey = context.env.GEMINI_API_KEY;
+    const provider = createResilientAIProvider(context.env, {
+      store: context.circuitBreakerStore,
+    });
 
-    if (!apiKey) {
+    if (!provider) {
       return Response.json(
-        {error: 'Gemini API key not configured'},
+        {error: 'AI provider not configured'},
         {status: 500},
       );
     }
 
-    const body = await request.json();
-    const {
-      currentProductTitle,
-      currentProductDescription,
-      availableProducts,
-      userQuery,
-    } = body;
-
-    const recommendations = await getGeminiRecommendations(apiKey, {
-      currentProductTitle,
-      currentProductDescription,
-      availableProducts: availableProducts || [],
-      userQuery,
-    });
+    const [resolvedInput, cartProducts] = await Promise.all([
+      resolveRecommendationInput(context.storefront, {
+        currentProductId: body?.currentProductId,
+        productIds: body?.productIds,
+        collectionHandle: body?.collectionHandle,
+        userQuery: body?.userQuery,
+        recentlyViewedIds: body?.recentlyViewedIds,
+      }),
+      getCartProducts(context.cart),
+    ]);
+    const input = withCartContext(resolvedInput, cartProducts);
+
+    if (input.availableProducts.length === 0) {
+      return Response.json({recommendations: []}, {status: 200});
+    }
+
+    const recommendations = await getCachedRecommendations(
+      context,
+      provider,
+      input,
+      {refresh: body?.refresh === true},
+    );
 
     return Response.json({recommendations}, {status: 200});
   } catch (error) {
     console.error('Error in recommendations API:', error);
+
+    if (error instanceof AIError) {
+      return Response.json(
+        {error: error.message, errorCategory: error.category},
+        {status: ERROR_STATUS[error.category] ?? 502},
+      );
+    }
+
     return Response.json(
       {error: error.message || 'Failed to get recommendations'},
       {status: 500},
@@ -44,6 +124,30 @@ export async function action({request, context}) {
   }
 }
 
+/**
+ * Reads the JSON body, refusing bodies over `MAX_BODY_BYTES`.
+ * @param {Request} request
+ * @returns {Promise<any>} The parsed body, or an error response
+ */
+async function readJsonBody(request) {
+  const contentLength = Number(request.headers.get('Content-Length'));
+  if (contentLength > MAX_BODY_BYTES) {
+    return Response.json({error: 'Request body too large'}, {status: 413});
+  }
+
+  // Content-Length may be missing or wrong, so check the actual size too
+  const text = await request.text();
+  if (new TextEncoder().encode(text).length > MAX_BODY_BYTES) {
+    return Response.json({error: 'Request body too large'}, {status: 413});
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return Response.json({error: 'Invalid JSON body'}, {status: 400});
+  }
+}
+
 /**
  * GET handler for recommendations (optional, for testing)
  * @param {Route.LoaderArgs} args
@@ -57,4 +161,3 @@ export async function loader({request, context}) {
 }
 
 /** @typedef {import('./+types/api.recommendations').Route} Route */
-
@@ -0,0 +1,319 @@
+import {data, useLoaderData} from 'react-router';
+import {AssistantChat} from '~/components/AssistantChat';
+import {createResilientAIProvider} from '~/lib/aiResilience';
+import {getAssistantReply} from '~/lib/gemini';
+import {checkAIRateLimit} from '~/lib/rateLimit';
+
+const HISTORY_SESSION_KEY = 'assistantHistory';
+// The history lives in the session cookie next to the cart and customer
+// tokens, and browsers drop a cookie over 4KB with every write in the
+// response, so the stored history is capped by its serialized size
+const MAX_HISTORY_MESSAGES = 6;
+const MAX_HISTORY_BYTES = 1000;
+const MAX_MESSAGE_LENGTH = 500;
+// Messages are stored as short summaries, so the latest turn always fits
+const MAX_STORED_MESSAGE_BYTES = 300;
+const MAX_CANDIDATES = 30;
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [{title: 'Hydrogen | Shopping assistant'}];
+};
+
+/**
+ * Returns the conversation stored in the session, with the suggested
+ * products re-fetched from the Storefront API.
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({context}) {
+  const history = getHistory(context.session);
+  const messages = await hydrateMessages(context.storefront, history);
+
+  return {messages};
+}
+
+/**
+ * Replies to a message and stores the turn in the session. Messages are rate
+ * limited per IP and per session (see `checkAIRateLimit`); over the limit the
+ * route responds 429 with a `Retry-After` header.
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  const {session, storefront} = context;
+
+  if (request.method !== 'POST') {
+    return data({error: 'Method not allowed', messages: []}, {status: 405});
+  }
+
+  const formData = await request.formData();
+
+  if (formData.get('intent') === 'clear') {
+    session.unset(HISTORY_SESSION_KEY);
+    return {error: null, messages: []};
+  }
+
+  const history = getHistory(session);
+  const message = String(formData.get('message') ?? '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_MESSAGE_LENGTH);
+
+  if (!message) {
+    const messages = await hydrateMessages(storefront, history);
+    return data({error: 'Please enter a message', messages}, {status: 400});
+  }
+
+  const retryAfter = await checkAIRateLimit(request, context, 'assistant');
+  if (retryAfter) {
+    const messages = await hydrateMessages(storefront, history);
+    return data(
+      {
+        error: 'You are sending messages too quickly. Please wait a moment.',
+        messages,
+      },
+      {status: 429, headers: {'Retry-After': String(retryAfter)}},
+    );
+  }
+
+  try {
+    const provider = createResilientAIProvider(context.env, {
+      store: context.circuitBreakerStore,
+    });
+    if (!provider) {
+      throw new Error('AI provider not configured');
+    }
+
+    // Ground the assistant in real catalog products only
+    const {search, popular} = await storefront.query(
+      ASSISTANT_CANDIDATES_QUERY,
+      {
+        cache: storefront.CacheShort(),
+        variables: {query: message, first: MAX_CANDIDATES},
+      },
+    );
+
+    const candidates = new Map();
+    for (const product of [...search.nodes, ...popular.nodes]) {
+      candidates.set(product.handle, product);
+    }
+    const availableProducts = [...candidates.values()].slice(0, MAX_CANDIDATES);
+
+    const {reply, handles} = await getAssistantReply(provider, {
+      history,
+      message,
+      availableProducts,
+    });
+
+    const products = handles.map((handle) => candidates.get(handle));
+    const nextHistory = trimHistory([
+      ...history,
+      {role: 'user', content: summarize(message)},
+      {
+        role: 'assistant',
+        content: summarize(reply),
+        productIds: products.map((product) => product.id),
+      },
+    ]);
+
+    session.set(HISTORY_SESSION_KEY, nextHistory);
+
+    const messages = await hydrateMessages(
+      storefront,
+      nextHistory.slice(0, -1),
+    );
+
+    return {
+      error: null,
+      messages: [...messages, {role: 'assistant', content: reply, products}],
+    };
+  } catch (error) {
+    console.error('Error in shopping assistant:', error);
+    const messages = await hydrateMessages(storefront, history);
+    return data(
+      {
+        error: 'The assistant is unavailable right now. Please try again.',
+        messages,
+      },
+      {status: 500},
+    );
+  }
+}
+
+export default function Assistant() {
+  /** @type {LoaderReturnData} */
+  const {messages} = useLoaderData();
+
+  return (
+    <div className="assistant">
+      <h1>Shopping assistant</h1>
+      <AssistantChat initialMessages={messages} />
+    </div>
+  );
+}
+
+/**
+ * @param {HydrogenSession} session
+ * @returns {AssistantHistoryMessage[]}
+ */
+function getHistory(session) {
+  const history = session.get(HISTORY_SESSION_KEY);
+  return Array.isArray(history) ? history : [];
+}
+
+/**
+ * The latest turns of the history that fit the cookie budget, oldest turns
+ * dropped first. The kept history always starts with a shopper message.
+ * @param {AssistantHistoryMessage[]} history
+ */
+function trimHistory(history) {
+  const trimmed = history.slice(-MAX_HISTORY_MESSAGES);
+
+  while (
+    trimmed.length &&
+    (trimmed[0].role !== 'user' || getByteSize(trimmed) > MAX_HISTORY_BYTES)
+  ) {
+    trimmed.shift();
+  }
+
+  return trimmed;
+}
+
+/**
+ * @param {unknown} value
+ */
+function getByteSize(value) {
+  return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Shortens a message to `MAX_STORED_MESSAGE_BYTES`, at a word boundary when
+ * there is one.
+ * @param {string} text
+ */
+function summarize(text) {
+  if (getByteSize(text) <= MAX_STORED_MESSAGE_BYTES) return text;
+
+  let cut = text.slice(0, MAX_STORED_MESSAGE_BYTES);
+  while (getByteSize(`${cut}…`) > MAX_STORED_MESSAGE_BYTES) {
+    cut = cut.slice(0, -1);
+  }
+  const lastSpace = cut.lastIndexOf(' ');
+  if (lastSpace > cut.length / 2) cut = cut.slice(0, lastSpace);
+
+  return `${cut.trimEnd()}…`;
+}
+
+/**
+ * Replaces the product IDs stored in the history with product data.
+ * @param {Storefront} storefront
+ * @param {AssistantHistoryMessage[]} history
+ * @returns {Promise<AssistantMessage[]>}
+ */
+async function hydrateMessages(storefront, history) {
+  const ids = [...new Set(history.flatMap((turn) => turn.productIds ?? []))];
+
+  const productsById = new Map();
+  if (ids.length) {
+    const {nodes} = await storefront.query(ASSISTANT_PRODUCTS_QUERY, {
+      cache: storefront.CacheShort(),
+      variables: {ids},
+    });
+    for (const node of nodes) {
+      if (node?.__typename === 'Product') {
+        productsById.set(node.id, node);
+      }
+    }
+  }
+
+  return history.map(({role, content, productIds = []}) => ({
+    role,
+    content,
+    products: productIds.map((id) => productsById.get(id)).filter(Boolean),
+  }));
+}
+
+const ASSISTANT_PRODUCT_FRAGMENT = `#graphql
+  fragment AssistantProduct on Product {
+    id
+    title
+    handle
+    description
+    vendor
+    priceRange {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+    featuredImage {
+      id
+      url
+      altText
+      width
+      height
+    }
+    selectedOrFirstAvailableVariant {
+      id
+      availableForSale
+    }
+  }
+`;
+
+const ASSISTANT_CANDIDATES_QUERY = `#graphql
+  query AssistantCandidates(
+    $country: CountryCode
+    $first: Int!
+    $language: LanguageCode
+    $query: String!
+  ) @inContext(country: $country, language: $language) {
+    search: products(first: $first, query: $query) {
+      nodes {
+        ...AssistantProduct
+      }
+    }
+    popular: products(first: $first, sortKey: BEST_SELLING) {
+      nodes {
+        ...AssistantProduct
+      }
+    }
+  }
+  ${ASSISTANT_PRODUCT_FRAGMENT}
+`;
+
+const ASSISTANT_PRODUCTS_QUERY = `#graphql
+  query AssistantProducts(
+    $country: CountryCode
+    $ids: [ID!]!
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    nodes(ids: $ids) {
+      __typename
+      ...AssistantProduct
+    }
+  }
+  ${ASSISTANT_PRODUCT_FRAGMENT}
+`;
+
+/**
+ * @typedef {{
+ *   role: 'user' | 'assistant';
+ *   content: string;
+ *   productIds?: string[];
+ * }} AssistantHistoryMessage
+ */
+/**
+ * @typedef {{
+ *   role: 'user' | 'assistant';
+ *   content: string;
+ *   products: AssistantProductFragment[];
+ * }} AssistantMessage
+ */
+
+/** @typedef {import('./+types/assistant').Route} Route */
+/** @typedef {import('@shopify/hydrogen').HydrogenSession} HydrogenSession */
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('storefrontapi.generated').AssistantProductFragment} AssistantProductFragment */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
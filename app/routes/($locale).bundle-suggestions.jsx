@@ -0,0 +1,230 @@
+import {useLoaderData} from 'react-router';
+import {BundleDetails} from '~/components/BundleDetails';
+import {createResilientAIProvider} from '~/lib/aiResilience';
+import {getBundleSuggestions} from '~/lib/gemini';
+import {getBundleRule} from '~/lib/bundlePricing';
+import {toBundleMetaobjects} from '~/lib/bundles';
+import {parseRichText} from '~/lib/metaobjects';
+
+// Catalog products the provider may group into bundles
+const MAX_CATALOG_PRODUCTS = 50;
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [
+    {title: 'Hydrogen | Bundle suggestions'},
+    {name: 'robots', content: 'noindex'},
+  ];
+};
+
+/**
+ * Merchant-facing preview of AI-suggested bundles, built from the best
+ * selling products. It lives outside `/bundles` so it can't shadow a bundle
+ * handle. Only served when `BUNDLE_SUGGESTIONS_TOKEN` is set, to requests
+ * sending it as the HTTP Basic auth password, so browsers prompt for it and
+ * it never appears in URLs. Add `?format=json` to get the suggestions as
+ * `metaobjectCreate` inputs for `bundle` metaobjects. Every request asks the
+ * provider again, nothing is cached.
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  const url = new URL(request.url);
+  const {env, storefront} = context;
+
+  if (!env.BUNDLE_SUGGESTIONS_TOKEN) {
+    throw new Response('Not found', {status: 404});
+  }
+  if (!(await isAuthorized(request, env.BUNDLE_SUGGESTIONS_TOKEN))) {
+    throw new Response('Unauthorized', {
+      status: 401,
+      headers: {'WWW-Authenticate': 'Basic realm="Bundle suggestions"'},
+    });
+  }
+
+  const provider = createResilientAIProvider(env, {
+    store: context.circuitBreakerStore,
+  });
+  if (!provider) {
+    throw new Response('No AI provider configured', {status: 503});
+  }
+
+  const {products: catalog} = await storefront.query(
+    BUNDLE_CATALOG_PRODUCTS_QUERY,
+    {
+      cache: storefront.CacheShort(),
+      variables: {first: MAX_CATALOG_PRODUCTS},
+    },
+  );
+  const availableProducts = catalog.nodes.filter(
+    (product) => product.availableForSale,
+  );
+
+  const suggestions = await getBundleSuggestions(provider, {
+    availableProducts,
+    count: MAX_SUGGESTIONS,
+  }).catch((error) => {
+    console.error(error);
+    throw new Response(`Could not suggest bundles: ${error.message}`, {
+      status: 502,
+    });
+  });
+
+  const productsByHandle = new Map(
+    availableProducts.map((product) => [
+      product.handle,
+      {...product, firstVariant: product.variants.nodes[0] ?? null},
+    ]),
+  );
+  const metaobjects = toBundleMetaobjects(suggestions, productsByHandle);
+
+  if (url.searchParams.get('format') === 'json') {
+    return new Response(JSON.stringify(metaobjects, null, 2), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Disposition': 'attachment; filename="bundles.json"',
+        'Cache-Control': 'no-store',
+      },
+    });
+  }
+
+  const previews = suggestions.map((suggestion, index) => {
+    const metaobject = metaobjects[index];
+    const products = suggestion.handles.map((handle) =>
+      productsByHandle.get(handle),
+    );
+    const bundle = {
+      id: metaobject.handle,
+      handle: metaobject.handle,
+      title: suggestion.title,
+      description: parseRichText(suggestion.description),
+      bundle_type: suggestion.discountType,
+      discount_value: String(suggestion.discountValue),
+    };
+
+    return {bundle, products, rule: getBundleRule(bundle), metaobject};
+  });
+
+  // The download holds the previewed suggestions, asking again would give
+  // different ones
+  const downloadUrl = `data:application/json;charset=utf-8,${encodeURIComponent(
+    JSON.stringify(metaobjects, null, 2),
+  )}`;
+
+  return {previews, downloadUrl};
+}
+
+/**
+ * Checks the password of the request's HTTP Basic credentials against
+ * `token`. Both are hashed first so the comparison takes the same time
+ * wherever they differ, and for any length.
+ * @param {Request} request
+ * @param {string} token
+ */
+async function isAuthorized(request, token) {
+  const [scheme, credentials] =
+    request.headers.get('Authorization')?.split(' ') ?? [];
+  if (scheme !== 'Basic' || !credentials) return false;
+
+  let password;
+  try {
+    password = atob(credentials).split(':').slice(1).join(':');
+  } catch {
+    return false;
+  }
+
+  const encoder = new TextEncoder();
+  const [actual, expected] = await Promise.all(
+    [password, token].map(
+      async (value) =>
+        new Uint8Array(
+          await crypto.subtle.digest('SHA-256', encoder.encode(value)),
+        ),
+    ),
+  );
+
+  let difference = 0;
+  for (let index = 0; index < expected.length; index++) {
+    difference |= actual[index] ^ expected[index];
+  }
+  return difference === 0;
+}
+
+export default function BundleSuggestions() {
+  /** @type {LoaderReturnData} */
+  const {previews, downloadUrl} = useLoaderData();
+
+  return (
+    <div className="p-8">
+      <h1 className="text-3xl font-semibold">Bundle suggestions</h1>
+      <p className="mt-2 text-sm text-neutral-600">
+        Suggested from the catalog, review them before importing.{' '}
+        <a className="underline" download="bundles.json" href={downloadUrl}>
+          Download metaobject JSON
+        </a>
+      </p>
+
+      {!previews.length && (
+        <p className="mt-8">No bundles could be suggested for the catalog.</p>
+      )}
+
+      {previews.map(({bundle, products, rule, metaobject}) => (
+        <section className="mt-8 border-t" key={bundle.handle}>
+          <BundleDetails
+            bundle={bundle}
+            preview
+            products={products}
+            rule={rule}
+          />
+          <details className="px-6 mx-auto max-w-5xl">
+            <summary className="text-sm font-medium">Metaobject JSON</summary>
+            <pre className="mt-2 overflow-x-auto text-xs">
+              {JSON.stringify(metaobject, null, 2)}
+            </pre>
+          </details>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+const BUNDLE_CATALOG_PRODUCTS_QUERY = `#graphql
+  query BundleCatalogProducts(
+    $country: CountryCode
+    $first: Int!
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    products(first: $first, sortKey: BEST_SELLING) {
+      nodes {
+        id
+        handle
+        title
+        description
+        vendor
+        availableForSale
+        featuredImage {
+          url
+          altText
+        }
+        variants(first: 1) {
+          nodes {
+            id
+            availableForSale
+            title
+          }
+        }
+        priceRange {
+          minVariantPrice {
+            amount
+            currencyCode
+          }
+        }
+      }
+    }
+  }
+`;
+
+/** @typedef {import('./+types/bundle-suggestions').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
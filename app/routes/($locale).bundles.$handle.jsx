@@ -0,0 +1,247 @@
+import {useLoaderData} from 'react-router';
+import {BundleDetails} from '~/components/BundleDetails';
+import {getBundleRule} from '~/lib/bundlePricing';
+import {
+  getBundleAvailability,
+  getBundleJsonLd,
+  getBundleUrl,
+} from '~/lib/bundles';
+import {
+  METAOBJECT_FILE_REFERENCE_FRAGMENT,
+  getFieldValues,
+  parseMetaobjectFields,
+} from '~/lib/metaobjects';
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = ({data}) => {
+  if (!data) return [{title: 'Hydrogen | Bundle'}];
+
+  const {bundle, canonicalUrl, jsonLd} = data;
+
+  return [
+    {title: `Hydrogen | ${bundle.title}`},
+    {name: 'description', content: bundle.description?.text ?? ''},
+    {property: 'og:title', content: bundle.title},
+    {property: 'og:url', content: canonicalUrl},
+    ...(bundle.image?.url
+      ? [{property: 'og:image', content: bundle.image.url}]
+      : []),
+    {tagName: 'link', rel: 'canonical', href: canonicalUrl},
+    {'script:ld+json': jsonLd},
+  ];
+};
+
+const BUNDLE_PRODUCT_VARIANT_FRAGMENT = `#graphql
+  fragment BundleProductVariant on ProductVariant {
+    id
+    availableForSale
+    title
+    price {
+      amount
+      currencyCode
+    }
+    image {
+      url
+      altText
+    }
+    product {
+      handle
+    }
+    selectedOptions {
+      name
+      value
+    }
+  }
+`;
+
+// Options, encoded variant data and the variants let `getProductOptions`
+// resolve every option combination without another request
+const BUNDLE_PRODUCT_FRAGMENT = `#graphql
+  fragment BundleProduct on Product {
+    id
+    handle
+    title
+    featuredImage {
+      url
+      altText
+    }
+    encodedVariantExistence
+    encodedVariantAvailability
+    options {
+      name
+      optionValues {
+        name
+        firstSelectableVariant {
+          ...BundleProductVariant
+        }
+        swatch {
+          color
+          image {
+            previewImage {
+              url
+            }
+          }
+        }
+      }
+    }
+    selectedOrFirstAvailableVariant(
+      selectedOptions: []
+      ignoreUnknownOptions: true
+      caseInsensitiveMatch: true
+    ) {
+      ...BundleProductVariant
+    }
+    variants(first: 100) {
+      nodes {
+        ...BundleProductVariant
+      }
+    }
+    priceRange {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+  }
+  ${BUNDLE_PRODUCT_VARIANT_FRAGMENT}
+`;
+
+const BUNDLE_BY_HANDLE_QUERY = `#graphql
+  query BundleByHandle(
+    $country: CountryCode
+    $handle: String!
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    localization {
+      country {
+        currency {
+          isoCode
+        }
+      }
+    }
+    shop {
+      paymentSettings {
+        currencyCode
+      }
+    }
+    metaobject(handle: {handle: $handle, type: "bundle"}) {
+      id
+      handle
+      fields {
+        key
+        value
+        type
+        reference {
+          __typename
+          ...BundleProduct
+          ...MetaobjectFileReference
+        }
+        references(first: 20) {
+          nodes {
+            __typename
+            ...BundleProduct
+          }
+        }
+      }
+    }
+  }
+  ${BUNDLE_PRODUCT_FRAGMENT}
+  ${METAOBJECT_FILE_REFERENCE_FRAGMENT}
+`;
+
+/**
+ * Products of a product or product list field, with the `firstVariant` the
+ * bundle components read.
+ * @param {unknown} value
+ */
+function getProducts(value) {
+  return (Array.isArray(value) ? value : [value])
+    .filter((reference) => reference?.__typename === 'Product')
+    .map((product) => ({
+      ...product,
+      firstVariant: product.selectedOrFirstAvailableVariant ?? null,
+    }));
+}
+
+/**
+ * @param {Route.LoaderArgs} args
+ */
+export async function loader({params, context, request}) {
+  const {handle} = params;
+  const {storefront} = context;
+
+  const data = await storefront.query(BUNDLE_BY_HANDLE_QUERY, {
+    variables: {handle},
+  });
+
+  if (!data.metaobject) {
+    throw new Response('Bundle not found', {status: 404});
+  }
+
+  const meta = data.metaobject;
+
+  const values = getFieldValues(meta.fields);
+  const {
+    products: productsField,
+    substitutes: substitutesField,
+    ...fields
+  } = parseMetaobjectFields(meta.fields);
+  const products = getProducts(productsField);
+  const substitutes = getProducts(substitutesField);
+  const availability = getBundleAvailability(values);
+
+  const bundle = {
+    id: meta.id,
+    handle: meta.handle,
+    ...fields,
+  };
+
+  const rule = getBundleRule(values, {
+    country: storefront.i18n.country,
+    isBaseMarket:
+      data.localization.country.currency.isoCode ===
+      data.shop.paymentSettings.currencyCode,
+  });
+
+  const canonicalUrl = new URL(
+    getBundleUrl(meta.handle, storefront.i18n.pathPrefix),
+    request.url,
+  ).href;
+
+  return {
+    bundle,
+    products,
+    substitutes,
+    availability,
+    rule,
+    canonicalUrl,
+    jsonLd: getBundleJsonLd({
+      bundle,
+      products,
+      substitutes,
+      availability,
+      rule,
+      url: canonicalUrl,
+    }),
+  };
+}
+
+export default function BundleDetail() {
+  /** @type {LoaderReturnData} */
+  const {bundle, products, substitutes, availability, rule} = useLoaderData();
+
+  return (
+    <BundleDetails
+      availability={availability}
+      bundle={bundle}
+      products={products}
+      rule={rule}
+      substitutes={substitutes}
+    />
+  );
+}
+
+/** @typedef {import('./+types/bundles.$handle').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -0,0 +1,605 @@
+import {
+  Link,
+  useLoaderData,
+  useNavigation,
+  useSearchParams,
+} from 'react-router';
+import {useRef} from 'react';
+import {Image, Money, getPaginationVariables} from '@shopify/hydrogen';
+import {PaginatedResourceSection} from '~/components/PaginatedResourceSection';
+import {
+  BUNDLE_FILTER_FIELDS,
+  BUNDLE_SORT_OPTIONS,
+  CUSTOM_BUNDLE_TYPE,
+  filterBundles,
+  hasBundleFilters,
+  paginateBundles,
+  parseBundleFilters,
+} from '~/lib/bundleFilters';
+import {
+  BUNDLE_TYPES,
+  describeBundleRule,
+  getBundleRule,
+  getBundleSelection,
+  priceBundle,
+  toMoney,
+} from '~/lib/bundlePricing';
+import {
+  getBundleAvailability,
+  getBundlePurchase,
+  getBundleUrl,
+} from '~/lib/bundles';
+import {
+  METAOBJECT_FILE_REFERENCE_FRAGMENT,
+  getFieldValues,
+  parseMetaobjectField,
+  parseMetaobjectFields,
+} from '~/lib/metaobjects';
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = ({data}) => {
+  return [
+    {title: 'Hydrogen | Bundles'},
+    {
+      name: 'description',
+      content: 'Product bundles and multi-buy offers.',
+    },
+    ...(data
+      ? [{tagName: 'link', rel: 'canonical', href: data.canonicalUrl}]
+      : []),
+  ];
+};
+
+/** Bundles fetched per request, up to `MAX_BUNDLES` */
+const BUNDLES_PAGE_SIZE = 50;
+
+// Bundles are filtered and sorted by their computed price and savings, which
+// the Storefront API can't do, so the listing works on all of them in memory.
+// Bundles past the cap aren't listed.
+const MAX_BUNDLES = 250;
+
+const BUNDLE_LISTING_PRODUCT_FRAGMENT = `#graphql
+  fragment BundleListingProduct on Product {
+    id
+    priceRange {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+    firstVariant: selectedOrFirstAvailableVariant(
+      selectedOptions: []
+      ignoreUnknownOptions: true
+      caseInsensitiveMatch: true
+    ) {
+      availableForSale
+      price {
+        amount
+        currencyCode
+      }
+    }
+    collections(first: 10) {
+      nodes {
+        handle
+        title
+      }
+    }
+  }
+`;
+
+const BUNDLES_QUERY = `#graphql
+  query BUNDLES_QUERY(
+    $after: String
+    $country: CountryCode
+    $first: Int!
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    localization {
+      country {
+        isoCode
+        currency {
+          isoCode
+        }
+      }
+    }
+    shop {
+      paymentSettings {
+        currencyCode
+      }
+    }
+    metaobjects(type: "bundle", first: $first, after: $after) {
+      nodes {
+        id
+        handle
+        fields {
+          key
+          value
+          type
+        }
+        image: field(key: "image") {
+          type
+          reference {
+            __typename
+            ...MetaobjectFileReference
+          }
+        }
+        products: field(key: "products") {
+          references(first: 20) {
+            nodes {
+              ...BundleListingProduct
+            }
+          }
+        }
+        substitutes: field(key: "substitutes") {
+          references(first: 10) {
+            nodes {
+              ...BundleListingProduct
+            }
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+  ${BUNDLE_LISTING_PRODUCT_FRAGMENT}
+  ${METAOBJECT_FILE_REFERENCE_FRAGMENT}
+`;
+
+const BUNDLE_TYPE_LABELS = {
+  [BUNDLE_TYPES.FIXED_PRICE]: 'Fixed price',
+  [BUNDLE_TYPES.PERCENTAGE]: 'Percentage off',
+  [BUNDLE_TYPES.TIERED]: 'Tiered',
+  [BUNDLE_TYPES.BUY_X_GET_Y]: 'Buy X get Y',
+  [BUNDLE_TYPES.CHEAPEST_FREE]: 'Cheapest free',
+  [BUNDLE_TYPES.MIX_AND_MATCH]: 'Mix and match',
+  [CUSTOM_BUNDLE_TYPE]: 'Build your own',
+};
+
+const BUNDLE_SORT_LABELS = {
+  [BUNDLE_SORT_OPTIONS.FEATURED]: 'Featured',
+  [BUNDLE_SORT_OPTIONS.SAVINGS]: 'Biggest savings',
+  [BUNDLE_SORT_OPTIONS.PRICE_ASC]: 'Price: low to high',
+  [BUNDLE_SORT_OPTIONS.PRICE_DESC]: 'Price: high to low',
+};
+
+/**
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({context, request}) {
+  const {storefront} = context;
+  const url = new URL(request.url);
+  const paginationVariables = getPaginationVariables(request, {pageBy: 12});
+  const filters = parseBundleFilters(url.searchParams);
+
+  const {entries, currencyCode} = await getBundleListing(context);
+  const {pathPrefix} = storefront.i18n;
+  const collections = [
+    ...new Map(
+      entries
+        .flatMap((entry) => entry.collections)
+        .map((collection) => [collection.handle, collection]),
+    ).values(),
+  ].sort((a, b) => a.title.localeCompare(b.title));
+
+  return {
+    bundles: paginateBundles(
+      filterBundles(entries, filters),
+      paginationVariables,
+    ),
+    collections,
+    filters,
+    currencyCode,
+    pathPrefix,
+    canonicalUrl: new URL(`${pathPrefix}/bundles`, request.url).href,
+  };
+}
+
+/**
+ * The listing entries of every bundle in the current market. Filters, sorting
+ * and pagination all work on this list, so it's cached as a whole instead of
+ * querying every page of bundles per request.
+ * @param {Pick<Route.LoaderArgs['context'], 'storefront' | 'withCache'>} context
+ */
+function getBundleListing({storefront, withCache}) {
+  const {country, language} = storefront.i18n;
+
+  return withCache.run(
+    {
+      cacheKey: ['bundle-listing', country, language],
+      cacheStrategy: storefront.CacheShort(),
+      shouldCacheResult: () => true,
+    },
+    async () => {
+      const {localization, shop, bundles} = await queryBundles(storefront);
+      const market = {
+        country: localization.country.isoCode,
+        isBaseMarket:
+          localization.country.currency.isoCode ===
+          shop.paymentSettings.currencyCode,
+      };
+
+      if (bundles.length >= MAX_BUNDLES) {
+        console.warn(`Only the first ${MAX_BUNDLES} bundles are listed`);
+      }
+
+      return {
+        entries: bundles.map((bundle) => toBundleListingEntry(bundle, market)),
+        currencyCode: localization.country.currency.isoCode,
+      };
+    },
+  );
+}
+
+/**
+ * Fetches up to `MAX_BUNDLES` bundles, one page of metaobjects at a time.
+ * The pages aren't cached on their own, see `getBundleListing`.
+ * @param {Storefront} storefront
+ */
+async function queryBundles(storefront) {
+  const bundles = [];
+  let after = null;
+  let localization;
+  let shop;
+
+  do {
+    const data = await storefront.query(BUNDLES_QUERY, {
+      cache: storefront.CacheNone(),
+      variables: {
+        first: Math.min(BUNDLES_PAGE_SIZE, MAX_BUNDLES - bundles.length),
+        after,
+      },
+    });
+    const {nodes, pageInfo} = data.metaobjects;
+
+    ({localization, shop} = data);
+    bundles.push(...nodes);
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (after && bundles.length < MAX_BUNDLES);
+
+  return {localization, shop, bundles};
+}
+
+/**
+ * What a bundle card shows and the listing filters and sorts by. The price
+ * is the bundle price of the default variants, or of the cheapest selection
+ * for build-your-own bundles.
+ * @param {BundlesQueryBundle} bundle
+ * @param {{country: string; isBaseMarket: boolean}} market
+ */
+function toBundleListingEntry(bundle, market) {
+  const values = getFieldValues(bundle.fields);
+  const fields = parseMetaobjectFields(bundle.fields);
+  const image = bundle.image ? parseMetaobjectField(bundle.image) : null;
+  const rule = getBundleRule(values, market);
+  const products = bundle.products?.references?.nodes ?? [];
+  const substitutes = bundle.substitutes?.references?.nodes ?? [];
+  const selection = getBundleSelection(rule, products.length);
+
+  /** @param {BundleListingProductFragment} product */
+  const isAvailable = (product) =>
+    Boolean(product.firstVariant?.availableForSale);
+  /** @param {BundleListingProductFragment} product */
+  const getPrice = (product) =>
+    Number(
+      (product.firstVariant?.price ?? product.priceRange.minVariantPrice)
+        .amount,
+    );
+
+  let pricing;
+  if (selection.isBuilder) {
+    const available = products.filter(isAvailable);
+    const prices = (available.length >= selection.min ? available : products)
+      .map(getPrice)
+      .sort((a, b) => a - b);
+    pricing = priceBundle(
+      rule,
+      prices.slice(0, selection.min).map((price) => ({price})),
+    );
+  } else {
+    pricing = getBundlePurchase({
+      rule,
+      products,
+      substitutes,
+      availability: getBundleAvailability(values),
+      isAvailable,
+      getPrice,
+    }).pricing;
+  }
+
+  return {
+    id: bundle.id,
+    handle: bundle.handle,
+    title: values.title || 'Untitled bundle',
+    subtitle: values.subtitle ?? null,
+    description: /** @type {RichTextValue | null} */ (fields.description),
+    image: /** @type {MetaobjectImage | null} */ (image),
+    rule,
+    type: rule.type,
+    isBuilder: selection.isBuilder,
+    price: pricing.bundlePrice,
+    savings: pricing.savings,
+    collections: [
+      ...new Map(
+        products
+          .flatMap((product) => product.collections.nodes)
+          .map((collection) => [collection.handle, collection]),
+      ).values(),
+    ],
+  };
+}
+
+export default function BundlesIndex() {
+  /** @type {LoaderReturnData} */
+  const {bundles, collections, filters, currencyCode, pathPrefix} =
+    useLoaderData();
+  const hasFilters = hasBundleFilters(filters);
+
+  if (!bundles.nodes.length && !hasFilters) {
+    return <div className="p-8">No bundles available yet.</div>;
+  }
+
+  return (
+    <div className="p-8">
+      <h1 className="text-3xl font-semibold">Bundles</h1>
+      <BundleFilterForm
+        collections={collections}
+        currencyCode={currencyCode}
+        currentFilters={filters}
+      />
+      {bundles.nodes.length ? (
+        <PaginatedResourceSection
+          connection={bundles}
+          resourcesClassName="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8 mt-8"
+        >
+          {({node: bundle}) => (
+            <BundleCard
+              key={bundle.id}
+              bundle={bundle}
+              currencyCode={currencyCode}
+              pathPrefix={pathPrefix}
+            />
+          )}
+        </PaginatedResourceSection>
+      ) : (
+        <div className="mt-8">
+          <p>No bundles match these filters.</p>
+          <br />
+          <p>
+            <Link to={`${pathPrefix}/bundles`}>Clear filters →</Link>
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * @param {{
+ *   collections: Array<{handle: string; title: string}>;
+ *   currencyCode: CurrencyCode;
+ *   currentFilters: BundleFilterParams;
+ * }}
+ */
+function BundleFilterForm({collections, currencyCode, currentFilters}) {
+  const [, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+  const isFiltering =
+    navigation.state !== 'idle' &&
+    navigation.location?.pathname?.endsWith('/bundles');
+  const formRef = useRef(null);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const formData = new FormData(event.currentTarget);
+    const params = new URLSearchParams();
+
+    for (const field of Object.values(BUNDLE_FILTER_FIELDS)) {
+      const value = formData.get(field)?.toString().trim();
+      if (value) params.set(field, value);
+    }
+    if (
+      params.get(BUNDLE_FILTER_FIELDS.SORT) === BUNDLE_SORT_OPTIONS.FEATURED
+    ) {
+      params.delete(BUNDLE_FILTER_FIELDS.SORT);
+    }
+
+    setSearchParams(params);
+  };
+
+  const isDirty =
+    hasBundleFilters(currentFilters) ||
+    currentFilters.sort !== BUNDLE_SORT_OPTIONS.FEATURED;
+
+  return (
+    <form
+      // Remount on navigation so the fields show the filters in the URL
+      key={JSON.stringify(currentFilters)}
+      ref={formRef}
+      onSubmit={handleSubmit}
+      className="mt-6 flex flex-wrap items-end gap-4 text-sm"
+      aria-label="Filter bundles"
+    >
+      <label className="flex flex-col gap-1">
+        Type
+        <select
+          name={BUNDLE_FILTER_FIELDS.TYPE}
+          defaultValue={currentFilters.type ?? ''}
+        >
+          <option value="">All types</option>
+          {Object.entries(BUNDLE_TYPE_LABELS).map(([type, label]) => (
+            <option key={type} value={type}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {collections.length > 0 && (
+        <label className="flex flex-col gap-1">
+          Collection
+          <select
+            name={BUNDLE_FILTER_FIELDS.COLLECTION}
+            defaultValue={currentFilters.collection ?? ''}
+          >
+            <option value="">All collections</option>
+            {collections.map((collection) => (
+              <option key={collection.handle} value={collection.handle}>
+                {collection.title}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      <label className="flex flex-col gap-1">
+        Min price ({currencyCode})
+        <input
+          type="number"
+          min="0"
+          step="any"
+          name={BUNDLE_FILTER_FIELDS.MIN_PRICE}
+          defaultValue={currentFilters.minPrice ?? ''}
+          className="w-28"
+        />
+      </label>
+      <label className="flex flex-col gap-1">
+        Max price ({currencyCode})
+        <input
+          type="number"
+          min="0"
+          step="any"
+          name={BUNDLE_FILTER_FIELDS.MAX_PRICE}
+          defaultValue={currentFilters.maxPrice ?? ''}
+          className="w-28"
+        />
+      </label>
+      <label className="flex flex-col gap-1">
+        Sort by
+        <select
+          name={BUNDLE_FILTER_FIELDS.SORT}
+          defaultValue={currentFilters.sort}
+        >
+          {Object.entries(BUNDLE_SORT_LABELS).map(([sort, label]) => (
+            <option key={sort} value={sort}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button type="submit" disabled={isFiltering}>
+        {isFiltering ? 'Filtering' : 'Apply'}
+      </button>
+      {isDirty && (
+        <button
+          type="button"
+          disabled={isFiltering}
+          onClick={() => {
+            setSearchParams(new URLSearchParams());
+            formRef.current?.reset();
+          }}
+        >
+          Clear
+        </button>
+      )}
+    </form>
+  );
+}
+
+/**
+ * @param {{
+ *   bundle: LoaderReturnData['bundles']['nodes'][number];
+ *   currencyCode: CurrencyCode;
+ *   pathPrefix: string;
+ * }}
+ */
+function BundleCard({bundle, currencyCode, pathPrefix}) {
+  const offer = describeBundleRule(bundle.rule);
+  const price =
+    offer.price !== null ? toMoney(offer.price, currencyCode) : null;
+
+  return (
+    <article className="relative rounded-2xl border border-neutral-200 bg-white shadow-md transition hover:-translate-y-1 hover:shadow-lg">
+      <div className="absolute inset-x-4 -top-4 flex items-center gap-2">
+        <span className="inline-flex items-center rounded-full bg-black/90 px-3 py-1 text-xs font-medium uppercase tracking-wide text-white">
+          {offer.badge}
+        </span>
+        {(offer.offer || price) && (
+          <span className="inline-flex items-center rounded-full bg-emerald-100 px-3 py-1 text-xs font-semibold text-emerald-900">
+            {price ? <Money as="span" data={price} /> : offer.offer}
+          </span>
+        )}
+      </div>
+
+      {bundle.image ? (
+        <Image
+          alt={bundle.image.altText || bundle.title}
+          className="h-48 w-full rounded-t-2xl object-cover"
+          data={bundle.image}
+          sizes="(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw"
+        />
+      ) : (
+        <div className="h-48 w-full rounded-t-2xl bg-linear-to-br from-neutral-100 via-neutral-50 to-white" />
+      )}
+
+      <div className="flex flex-col gap-4 p-6">
+        <div>
+          <h2 className="text-2xl font-semibold text-neutral-900">
+            {bundle.title}
+          </h2>
+          {bundle.subtitle && (
+            <p className="text-sm font-medium text-blue-600">
+              {bundle.subtitle}
+            </p>
+          )}
+        </div>
+
+        <p className="text-sm leading-relaxed text-neutral-600">
+          {bundle.description?.text || 'Handpicked products curated for you.'}
+        </p>
+
+        <div className="rounded-2xl bg-neutral-50 px-4 py-3 text-sm text-neutral-700">
+          <p className="font-semibold">
+            {offer.headline}
+            {price && (
+              <>
+                {' '}
+                <Money as="span" data={price} />
+              </>
+            )}
+          </p>
+          <p className="text-xs text-neutral-500">
+            {bundle.isBuilder ? 'From ' : ''}
+            <Money as="span" data={toMoney(bundle.price, currencyCode)} />
+            {bundle.savings > 0 && (
+              <>
+                {' · you save '}
+                <Money as="span" data={toMoney(bundle.savings, currencyCode)} />
+              </>
+            )}
+          </p>
+        </div>
+
+        <Link
+          prefetch="intent"
+          to={getBundleUrl(bundle.handle, pathPrefix)}
+          className="inline-flex items-center justify-center rounded-xl bg-neutral-900 px-4 py-2 text-sm font-semibold text-white transition hover:bg-neutral-800"
+        >
+          View Bundle →
+        </Link>
+      </div>
+    </article>
+  );
+}
+
+/** @typedef {import('./+types/bundles._index').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').CurrencyCode} CurrencyCode */
+/** @typedef {import('storefrontapi.generated').BUNDLES_QUERYQuery['metaobjects']['nodes'][number]} BundlesQueryBundle */
+/** @typedef {import('storefrontapi.generated').BundleListingProductFragment} BundleListingProductFragment */
+/** @typedef {import('~/lib/bundleFilters').BundleFilterParams} BundleFilterParams */
+/** @typedef {import('~/lib/metaobjects').RichTextValue} RichTextValue */
+/** @typedef {import('~/lib/metaobjects').MetaobjectImage} MetaobjectImage */
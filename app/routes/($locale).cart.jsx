@@ -1,6 +1,7 @@
 import {useLoaderData, data} from 'react-router';
 import {CartForm} from '@shopify/hydrogen';
 import {CartMain} from '~/components/CartMain';
+import {checkBundleLines, syncBundleDiscounts} from '~/lib/bundleCart';
 
 /**
  * @type {Route.MetaFunction}
@@ -30,11 +31,19 @@ export async function action({request, context}) {
 
   let status = 200;
   let result;
+  /** @type {BundleWarning[]} */
+  let bundleWarnings = [];
 
   switch (action) {
-    case CartForm.ACTIONS.LinesAdd:
-      result = await cart.addLines(inputs.lines);
+    case CartForm.ACTIONS.LinesAdd: {
+      // Bundle pages may be stale, re-check bundle lines before adding them
+      const {lines, warnings} = await checkBundleLines(context, inputs.lines);
+      bundleWarnings = warnings;
+      result = lines.length
+        ? await cart.addLines(lines)
+        : {cart: await cart.get(), errors: [], warnings: []};
       break;
+    }
     case CartForm.ACTIONS.LinesUpdate:
       result = await cart.updateLines(inputs.lines);
       break;
@@ -80,6 +89,18 @@ export async function action({request, context}) {
       throw new Error(`${action} cart action is not defined`);
   }
 
+  // Apply or remove bundle discount codes now that the lines changed. Only the
+  // cart is taken from the sync, the errors and warnings of the action stay.
+  if (result?.cart?.id) {
+    const bundleResult = await syncBundleDiscounts(context, result.cart).catch(
+      (error) => {
+        console.error(error);
+        return null;
+      },
+    );
+    if (bundleResult?.cart) result = {...result, cart: bundleResult.cart};
+  }
+
   const cartId = result?.cart?.id;
   const headers = cartId ? cart.setCartId(result.cart.id) : new Headers();
   const {cart: cartResult, errors, warnings} = result;
@@ -94,7 +115,7 @@ export async function action({request, context}) {
     {
       cart: cartResult,
       errors,
-      warnings,
+      warnings: [...(warnings ?? []), ...bundleWarnings],
       analytics: {
         cartId,
       },
@@ -126,5 +147,6 @@ export default function Cart() {
 /** @typedef {import('react-router').HeadersFunction} HeadersFunction */
 /** @typedef {import('./+types/cart').Route} Route */
 /** @typedef {import('@shopify/hydrogen').CartQueryDataReturn} CartQueryDataReturn */
+/** @typedef {import('~/lib/bundleCart').BundleWarning} BundleWarning */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
@@ -1,4 +1,5 @@
-import {useLoaderData} from 'react-router';
+import {Suspense} from 'react';
+import {Await, useLoaderData} from 'react-router';
 import {
   getSelectedProductOptions,
   Analytics,
@@ -10,7 +11,9 @@ import {
 import {ProductPrice} from '~/components/ProductPrice';
 import {ProductImage} from '~/components/ProductImage';
 import {ProductForm} from '~/components/ProductForm';
+import {AIRecommender} from '~/components/AIRecommender';
 import {redirectIfHandleIsLocalized} from '~/lib/redirect';
+import {loadAIRecommendations} from '~/lib/recommendations';
 
 /**
  * @type {Route.MetaFunction}
@@ -79,13 +82,57 @@ async function loadCriticalData({context, params, request}) {
 function loadDeferredData({context, params}) {
   // Put any API calls that is not critical to be available on first page render
   // For example: product reviews, product recommendations, social feeds.
+  const {handle} = params;
+
+  const recommendations = context.storefront
+    .query(PRODUCT_RECOMMENDATIONS_QUERY, {variables: {handle}})
+    .then(async ({product, productRecommendations}) => {
+      if (!product) return null;
+
+      // Shopify's native recommendations are the fallback set, and together
+      // with the products from the same collection the AI candidates
+      const fallbackProducts = productRecommendations ?? [];
+      const candidates = new Map();
+      for (const candidate of [
+        ...(product.collections.nodes[0]?.products.nodes ?? []),
+        ...fallbackProducts,
+      ]) {
+        if (candidate.id !== product.id) {
+          candidates.set(candidate.id, candidate);
+        }
+      }
+      const availableProducts = [...candidates.values()];
+
+      const aiRecommendations = await loadAIRecommendations(context, {
+        currentProductTitle: product.title,
+        currentProductDescription: product.description,
+        availableProducts,
+      });
+
+      return {
+        currentProduct: {
+          id: product.id,
+          title: product.title,
+          description: product.description,
+          handle: product.handle,
+        },
+        availableProducts,
+        fallbackProducts,
+        aiRecommendations,
+      };
+    })
+    .catch((error) => {
+      // Log query errors, but don't throw them so the page can still render
+      console.error(error);
+      return null;
+    });
 
-  return {};
+  return {recommendations};
 }
 
 export default function Product() {
   /** @type {LoaderReturnData} */
-  const {product} = useLoaderData();
+  const {product, recommendations} = useLoaderData();
 
   // Optimistically selects a variant with given available variant information
   const selectedVariant = useOptimisticVariant(
@@ -143,10 +190,39 @@ export default function Product() {
           ],
         }}
       />
+      <ProductRecommendations recommendations={recommendations} />
     </div>
   );
 }
 
+/**
+ * @param {{
+ *   recommendations: Promise<ProductRecommendationsData | null>;
+ * }}
+ */
+function ProductRecommendations({recommendations}) {
+  return (
+    <Suspense fallback={null}>
+      <Await resolve={recommendations}>
+        {(data) =>
+          data?.availableProducts.length ? (
+            <AIRecommender
+              // Remount per product, the picks are only read on mount
+              key={data.currentProduct.id}
+              availableProducts={data.availableProducts}
+              currentProduct={data.currentProduct}
+              fallbackProducts={data.fallbackProducts}
+              initialRecommendations={data.aiRecommendations}
+              reasonsToggle
+              title="You may also like"
+            />
+          ) : null
+        }
+      </Await>
+    </Suspense>
+  );
+}
+
 const PRODUCT_VARIANT_FRAGMENT = `#graphql
   fragment ProductVariant on ProductVariant {
     availableForSale
@@ -239,5 +315,72 @@ const PRODUCT_QUERY = `#graphql
   ${PRODUCT_FRAGMENT}
 `;
 
+const PRODUCT_RECOMMENDATION_FRAGMENT = `#graphql
+  fragment ProductRecommendation on Product {
+    id
+    title
+    handle
+    description
+    vendor
+    priceRange {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+    featuredImage {
+      id
+      url
+      altText
+      width
+      height
+    }
+  }
+`;
+
+const PRODUCT_RECOMMENDATIONS_QUERY = `#graphql
+  query ProductRecommendations(
+    $country: CountryCode
+    $handle: String!
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    product(handle: $handle) {
+      id
+      title
+      handle
+      description
+      collections(first: 1) {
+        nodes {
+          products(first: 20) {
+            nodes {
+              ...ProductRecommendation
+            }
+          }
+        }
+      }
+    }
+    productRecommendations(productHandle: $handle, intent: RELATED) {
+      ...ProductRecommendation
+    }
+  }
+  ${PRODUCT_RECOMMENDATION_FRAGMENT}
+`;
+
+/**
+ * @typedef {{
+ *   currentProduct: {
+ *     id: string;
+ *     title: string;
+ *     description: string;
+ *     handle: string;
+ *   };
+ *   availableProducts: ProductRecommendationFragment[];
+ *   fallbackProducts: ProductRecommendationFragment[];
+ *   aiRecommendations: AIRecommendation[] | null;
+ * }} ProductRecommendationsData
+ */
+
+/** @typedef {import('storefrontapi.generated').ProductRecommendationFragment} ProductRecommendationFragment */
+/** @typedef {import('~/lib/gemini').AIRecommendation} AIRecommendation */
 /** @typedef {import('./+types/products.$handle').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -3,6 +3,9 @@ import {getPaginationVariables, Analytics} from '@shopify/hydrogen';
 import {SearchForm} from '~/components/SearchForm';
 import {SearchResults} from '~/components/SearchResults';
 import {getEmptyPredictiveSearchResult} from '~/lib/search';
+import {createResilientAIProvider} from '~/lib/aiResilience';
+import {checkAIRateLimit} from '~/lib/rateLimit';
+import {mergeSearchResults, semanticSearch} from '~/lib/semanticSearch';
 
 /**
  * @type {Route.MetaFunction}
@@ -34,7 +37,7 @@ export async function loader({request, context}) {
  */
 export default function SearchPage() {
   /** @type {LoaderReturnData} */
-  const {type, term, result, error} = useLoaderData();
+  const {type, term, result, error, semantic} = useLoaderData();
   if (type === 'predictive') return null;
 
   return (
@@ -52,6 +55,17 @@ export default function SearchPage() {
             />
             &nbsp;
             <button type="submit">Search</button>
+            {semantic?.available && (
+              <label className="search-mode">
+                <input
+                  defaultChecked={semantic.enabled}
+                  name="mode"
+                  type="checkbox"
+                  value="semantic"
+                />
+                &nbsp;Semantic search
+              </label>
+            )}
           </>
         )}
       </SearchForm>
@@ -148,6 +162,21 @@ const PAGE_INFO_FRAGMENT = `#graphql
   }
 `;
 
+const SEMANTIC_SEARCH_PRODUCTS_QUERY = `#graphql
+  query SemanticSearchProducts(
+    $country: CountryCode
+    $ids: [ID!]!
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    nodes(ids: $ids) {
+      ...on Product {
+        ...SearchProduct
+      }
+    }
+  }
+  ${SEARCH_PRODUCT_FRAGMENT}
+`;
+
 // NOTE: https://shopify.dev/docs/api/storefront/latest/queries/search
 export const SEARCH_QUERY = `#graphql
   query RegularSearch(
@@ -220,16 +249,36 @@ async function regularSearch({request, context}) {
   const url = new URL(request.url);
   const variables = getPaginationVariables(request, {pageBy: 8});
   const term = String(url.searchParams.get('q') || '');
+  const provider = getSemanticSearchProvider(context);
+  const semantic = {
+    available: Boolean(provider),
+    enabled: Boolean(provider) && url.searchParams.get('mode') === 'semantic',
+  };
+  // Semantic matches are merged into the first page only, later pages
+  // continue the keyword results
+  const isFirstPage = !url.searchParams.has('cursor');
 
   // Search articles, pages, and products for the `q` term
-  const {errors, ...items} = await storefront.query(SEARCH_QUERY, {
-    variables: {...variables, term},
-  });
+  const [{errors, ...items}, semanticProducts] = await Promise.all([
+    storefront.query(SEARCH_QUERY, {
+      variables: {...variables, term},
+    }),
+    semantic.enabled && isFirstPage
+      ? getSemanticProducts({request, context, provider, term})
+      : [],
+  ]);
 
   if (!items) {
     throw new Error('No search data returned from Shopify API');
   }
 
+  if (semanticProducts.length && items.products) {
+    items.products = {
+      ...items.products,
+      nodes: mergeSearchResults(items.products.nodes, semanticProducts),
+    };
+  }
+
   const total = Object.values(items).reduce(
     (acc, {nodes}) => acc + nodes.length,
     0,
@@ -239,7 +288,52 @@ async function regularSearch({request, context}) {
     ? errors.map(({message}) => message).join(', ')
     : undefined;
 
-  return {type: 'regular', term, error, result: {total, items}};
+  return {type: 'regular', term, error, semantic, result: {total, items}};
+}
+
+/**
+ * @param {Route.LoaderArgs['context']} context
+ */
+function getSemanticSearchProvider(context) {
+  try {
+    return createResilientAIProvider(context.env, {
+      store: context.circuitBreakerStore,
+    });
+  } catch (error) {
+    console.error(error);
+    return null;
+  }
+}
+
+/**
+ * Products matching the term by meaning rather than keywords, best match
+ * first. Errors and rate limited shoppers get no semantic matches, so the
+ * keyword results are shown on their own.
+ * @param {Pick<Route.LoaderArgs, 'request' | 'context'> & {
+ *   provider: AIProvider;
+ *   term: string;
+ * }}
+ * @returns {Promise<SearchProductFragment[]>}
+ */
+async function getSemanticProducts({request, context, provider, term}) {
+  if (!term.trim()) return [];
+
+  try {
+    if (await checkAIRateLimit(request, context, 'search')) return [];
+
+    const matches = await semanticSearch(context, provider, term);
+    if (!matches.length) return [];
+
+    const {nodes} = await context.storefront.query(
+      SEMANTIC_SEARCH_PRODUCTS_QUERY,
+      {variables: {ids: matches.map(({id}) => id)}},
+    );
+
+    return nodes.filter((node) => node?.__typename === 'Product');
+  } catch (error) {
+    console.error(error);
+    return [];
+  }
 }
 
 /**
@@ -420,4 +514,6 @@ async function predictiveSearch({request, context}) {
 /** @typedef {import('~/lib/search').PredictiveSearchReturn} PredictiveSearchReturn */
 /** @typedef {import('storefrontapi.generated').RegularSearchQuery} RegularSearchQuery */
 /** @typedef {import('storefrontapi.generated').PredictiveSearchQuery} PredictiveSearchQuery */
+/** @typedef {import('storefrontapi.generated').SearchProductFragment} SearchProductFragment */
+/** @typedef {import('~/lib/aiProvider').AIProvider} AIProvider */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
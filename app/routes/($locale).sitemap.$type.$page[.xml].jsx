@@ -1,24 +1,116 @@
 import {getSitemap} from '@shopify/hydrogen';
+import {BUNDLE_METAOBJECT_TYPE} from '~/lib/bundles';
+
+const LOCALES = ['EN-US', 'EN-CA', 'FR-CA'];
+// Bundles fit in one sitemap page, the index only lists `/sitemap/bundles/1.xml`
+const MAX_SITEMAP_BUNDLES = 250;
+
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
 
 /**
  * @param {Route.LoaderArgs}
  */
 export async function loader({request, params, context: {storefront}}) {
-  const response = await getSitemap({
-    storefront,
-    request,
-    params,
-    locales: ['EN-US', 'EN-CA', 'FR-CA'],
-    getLink: ({type, baseUrl, handle, locale}) => {
-      if (!locale) return `${baseUrl}/${type}/${handle}`;
-      return `${baseUrl}/${locale}/${type}/${handle}`;
-    },
-  });
+  const response =
+    params.type === 'bundles'
+      ? await getBundleSitemap({storefront, request, page: params.page})
+      : await getSitemap({
+          storefront,
+          request,
+          params,
+          locales: LOCALES,
+          getLink,
+        });
 
   response.headers.set('Cache-Control', `max-age=${60 * 60 * 24}`);
 
   return response;
 }
 
+/**
+ * @param {{
+ *   type: string;
+ *   baseUrl: string;
+ *   handle?: string;
+ *   locale?: string;
+ * }}
+ */
+function getLink({type, baseUrl, handle, locale}) {
+  if (!locale) return `${baseUrl}/${type}/${handle}`;
+  return `${baseUrl}/${locale}/${type}/${handle}`;
+}
+
+/**
+ * Bundles are metaobjects without an Online Store page, so the Storefront
+ * API sitemap doesn't list them. Their sitemap is built from the bundle
+ * metaobjects in the same format as the other sitemaps, on a single page.
+ * @param {{
+ *   storefront: Route.LoaderArgs['context']['storefront'];
+ *   request: Request;
+ *   page: string;
+ * }}
+ */
+async function getBundleSitemap({storefront, request, page}) {
+  if (page !== '1') {
+    throw new Response('Not found', {status: 404});
+  }
+
+  const {metaobjects} = await storefront.query(SITEMAP_BUNDLES_QUERY, {
+    variables: {type: BUNDLE_METAOBJECT_TYPE, first: MAX_SITEMAP_BUNDLES},
+  });
+  const baseUrl = new URL(request.url).origin;
+
+  const urls = metaobjects.nodes.map(({handle, updatedAt}) => {
+    const alternates = LOCALES.map(
+      (locale) =>
+        `  <xhtml:link rel="alternate" hreflang="${locale}" href="${escapeXml(getLink({type: 'bundles', baseUrl, handle, locale}))}" />`,
+    );
+
+    return [
+      '<url>',
+      `  <loc>${escapeXml(getLink({type: 'bundles', baseUrl, handle}))}</loc>`,
+      `  <lastmod>${updatedAt}</lastmod>`,
+      '  <changefreq>weekly</changefreq>',
+      ...alternates,
+      '</url>',
+    ].join('\n');
+  });
+
+  const body = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+  ].join('\n');
+
+  return new Response(body, {
+    headers: {'Content-Type': 'application/xml'},
+  });
+}
+
+/**
+ * @param {string} value
+ */
+function escapeXml(value) {
+  return value.replace(/[&<>"']/g, (character) => XML_ENTITIES[character]);
+}
+
+const SITEMAP_BUNDLES_QUERY = `#graphql
+  query SitemapBundles($first: Int!, $type: String!) {
+    metaobjects(type: $type, first: $first) {
+      nodes {
+        handle
+        updatedAt
+      }
+    }
+  }
+`;
+
 /** @typedef {import('./+types/sitemap.$type.$page[.xml]').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
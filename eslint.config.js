@@ -230,6 +230,11 @@ export default [
     plugins: {
       jest,
     },
+    settings: {
+      // Jest isn't installed to detect its version from, tests run on
+      // `node:test` (see the `test` script)
+      jest: {version: 29},
+    },
     languageOptions: {
       globals: {
         ...globals.node,
@@ -0,0 +1,31 @@
+/**
+ * Node module hooks resolving the app's `~/` import alias (see jsconfig.json)
+ * so scripts can import modules from `app/` without a bundler.
+ * Register with `module.register('./alias-loader.mjs', import.meta.url)`.
+ */
+import {existsSync, statSync} from 'node:fs';
+import {fileURLToPath, pathToFileURL} from 'node:url';
+import path from 'node:path';
+
+const APP_DIRECTORY = fileURLToPath(new URL('../app', import.meta.url));
+const EXTENSIONS = ['', '.js', '.jsx'];
+
+/**
+ * @param {string} specifier
+ * @param {object} context
+ * @param {Function} nextResolve
+ */
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('~/')) {
+    const base = path.join(APP_DIRECTORY, specifier.slice(2));
+    const file = EXTENSIONS.map((extension) => base + extension).find(
+      (candidate) => existsSync(candidate) && statSync(candidate).isFile(),
+    );
+
+    if (file) {
+      return {url: pathToFileURL(file).href, shortCircuit: true};
+    }
+  }
+
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,298 @@
+/**
+ * Offline evaluation of AI recommendation quality.
+ *
+ * Replays the fixture catalog and scenarios in
+ * `scripts/fixtures/recommendations` through `getRecommendationsWithFallback`
+ * and reports precision@k, catalog coverage, invalid-handle rate and
+ * fallback rate, so prompt changes in `app/lib/gemini.js` can be compared.
+ *
+ * Usage:
+ *   npm run eval:recommendations -- [options]
+ *
+ * Options:
+ *   --provider mock|env   `mock` (default) runs offline, `env` uses the
+ *                         provider configured by AI_PROVIDER & co.
+ *   --recorded <file>     Replay raw responses recorded with --record
+ *   --record <file>       Save the raw responses of this run
+ *   --fixtures <dir>      Directory with catalog.json and scenarios.json
+ *   --k <number>          Cut-off for precision@k (default 4)
+ *   --min-precision <n>   Exit with code 1 when mean precision@k is lower
+ *                         (default 0.35, the mock provider's baseline on the
+ *                         bundled fixtures; 0 disables the check)
+ *   --json                Print the report as JSON
+ */
+import {register} from 'node:module';
+import {readFile, writeFile} from 'node:fs/promises';
+import {fileURLToPath} from 'node:url';
+import {parseArgs} from 'node:util';
+import path from 'node:path';
+
+register('./alias-loader.mjs', import.meta.url);
+
+// The mock provider scores 0.375 on the bundled fixtures
+const DEFAULT_MIN_PRECISION = '0.35';
+
+const {createMockProvider} = await import('~/lib/aiProvider');
+const {createResilientAIProvider} = await import('~/lib/aiResilience');
+const {getRecommendationsWithFallback} = await import('~/lib/gemini');
+
+const {values: options} = parseArgs({
+  options: {
+    provider: {type: 'string', default: 'mock'},
+    recorded: {type: 'string'},
+    record: {type: 'string'},
+    fixtures: {
+      type: 'string',
+      default: fileURLToPath(
+        new URL('./fixtures/recommendations', import.meta.url),
+      ),
+    },
+    k: {type: 'string', default: '4'},
+    'min-precision': {type: 'string', default: DEFAULT_MIN_PRECISION},
+    json: {type: 'boolean', default: false},
+  },
+});
+
+const k = Number.parseInt(options.k, 10);
+const {products: catalog, fallbackHandles = []} = await readJson(
+  path.join(options.fixtures, 'catalog.json'),
+);
+const {scenarios} = await readJson(
+  path.join(options.fixtures, 'scenarios.json'),
+);
+const recordings = options.recorded ? await readJson(options.recorded) : null;
+
+const productsByHandle = new Map(
+  catalog.map((product) => [product.handle, product]),
+);
+const fallbackProducts = fallbackHandles
+  .map((handle) => productsByHandle.get(handle))
+  .filter(Boolean);
+const baseProvider = recordings ? null : getProvider(options.provider);
+
+/** @type {Record<string, string>} */
+const recorded = {};
+const results = [];
+
+for (const scenario of scenarios) {
+  const currentProduct = productsByHandle.get(scenario.currentProductHandle);
+  const availableProducts = catalog.filter(
+    (product) => product.handle !== currentProduct?.handle,
+  );
+
+  // Capture the raw response to measure what the model returned before
+  // validation dropped anything
+  let rawResponse = null;
+  const provider = {
+    name: baseProvider?.name ?? 'recorded',
+    model: baseProvider?.model ?? 'recorded',
+    async generate(request) {
+      rawResponse = recordings
+        ? getRecording(recordings, scenario.id)
+        : await baseProvider.generate(request);
+      return rawResponse;
+    },
+  };
+
+  const result = await withoutErrorLogs(() =>
+    getRecommendationsWithFallback(
+      provider,
+      {
+        currentProductTitle: currentProduct?.title,
+        currentProductDescription: currentProduct?.description,
+        availableProducts,
+        userQuery: scenario.userQuery,
+      },
+      fallbackProducts,
+    ),
+  );
+
+  if (rawResponse !== null) {
+    recorded[scenario.id] = rawResponse;
+  }
+
+  const shown = result.products.slice(0, k).map((product) => product.handle);
+  const relevant = new Set(scenario.relevantHandles);
+  const returnedHandles = extractHandles(rawResponse);
+  const candidateHandles = new Set(
+    availableProducts.map((product) => product.handle),
+  );
+
+  results.push({
+    id: scenario.id,
+    source: result.source,
+    errorCategory: result.errorCategory,
+    shown,
+    precision: shown.filter((handle) => relevant.has(handle)).length / k,
+    returned: returnedHandles.length,
+    invalid: returnedHandles.filter((handle) => !candidateHandles.has(handle))
+      .length,
+  });
+}
+
+if (options.record) {
+  await writeFile(options.record, `${JSON.stringify(recorded, null, 2)}\n`);
+}
+
+const returned = sum(results.map((result) => result.returned));
+const report = {
+  provider: recordings ? `recorded (${options.recorded})` : options.provider,
+  scenarios: results.length,
+  k,
+  precisionAtK: mean(results.map((result) => result.precision)),
+  coverage:
+    new Set(results.flatMap((result) => result.shown)).size / catalog.length,
+  invalidHandleRate: returned
+    ? sum(results.map((result) => result.invalid)) / returned
+    : 0,
+  fallbackRate:
+    results.filter((result) => result.source === 'fallback').length /
+    results.length,
+  mixedRate:
+    results.filter((result) => result.source === 'mixed').length /
+    results.length,
+  results,
+};
+
+if (options.json) {
+  print(JSON.stringify(report, null, 2));
+} else {
+  printReport(report);
+}
+
+const minPrecision = Number.parseFloat(options['min-precision']);
+if (Number.isNaN(minPrecision)) {
+  throw new Error(`Invalid --min-precision "${options['min-precision']}"`);
+}
+if (report.precisionAtK < minPrecision) {
+  console.error(
+    `precision@${k} ${formatRate(report.precisionAtK)} is below ${formatRate(minPrecision)}`,
+  );
+  process.exitCode = 1;
+}
+
+/**
+ * @param {string} name
+ */
+function getProvider(name) {
+  if (name === 'mock') return createMockProvider();
+
+  if (name === 'env') {
+    const provider = createResilientAIProvider(process.env);
+    if (!provider) {
+      throw new Error('No AI provider configured, set AI_PROVIDER');
+    }
+    return provider;
+  }
+
+  throw new Error(`Unknown provider "${name}", use "mock" or "env"`);
+}
+
+/**
+ * @param {Record<string, string>} recordings
+ * @param {string} scenarioId
+ */
+function getRecording(recordings, scenarioId) {
+  if (typeof recordings[scenarioId] !== 'string') {
+    throw new Error(`No recorded response for scenario "${scenarioId}"`);
+  }
+  return recordings[scenarioId];
+}
+
+/**
+ * Handles in a raw `{recommendations: [...]}` or array response, without
+ * any validation. Unparseable responses count as returning nothing.
+ * @param {string | null} responseText
+ * @returns {string[]}
+ */
+function extractHandles(responseText) {
+  if (!responseText) return [];
+
+  try {
+    const match = responseText.match(/[[{].*[\]}]/s);
+    const parsed = JSON.parse(match?.[0] ?? '');
+    const items = Array.isArray(parsed) ? parsed : parsed?.recommendations;
+    return Array.isArray(items)
+      ? items
+          .map((item) => (typeof item === 'string' ? item : item?.handle))
+          .filter((handle) => typeof handle === 'string')
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The helpers log failed AI calls; keep the report readable.
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withoutErrorLogs(fn) {
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = consoleError;
+  }
+}
+
+/**
+ * @param {Object} report
+ */
+function printReport(report) {
+  print(`Provider: ${report.provider}`);
+  print(`Scenarios: ${report.scenarios}\n`);
+
+  for (const result of report.results) {
+    const status = result.errorCategory
+      ? `${result.source}, ${result.errorCategory}`
+      : result.source;
+    print(
+      `  ${result.id.padEnd(24)} p@${report.k} ${formatRate(result.precision).padStart(5)}  ${status}`,
+    );
+  }
+
+  print();
+  print(`precision@${report.k}        ${formatRate(report.precisionAtK)}`);
+  print(`coverage            ${formatRate(report.coverage)}`);
+  print(`invalid-handle rate ${formatRate(report.invalidHandleRate)}`);
+  print(`fallback rate       ${formatRate(report.fallbackRate)}`);
+  print(`mixed rate          ${formatRate(report.mixedRate)}`);
+}
+
+/**
+ * @param {string} [line]
+ */
+function print(line = '') {
+  process.stdout.write(`${line}\n`);
+}
+
+/**
+ * @param {number} value
+ */
+function formatRate(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * @param {number[]} values
+ */
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * @param {number[]} values
+ */
+function mean(values) {
+  return values.length ? sum(values) / values.length : 0;
+}
+
+/**
+ * @param {string} file
+ */
+async function readJson(file) {
+  return JSON.parse(await readFile(file, 'utf8'));
+}
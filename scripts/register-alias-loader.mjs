@@ -0,0 +1,7 @@
+/**
+ * Registers `alias-loader.mjs` when passed to `node --import`, e.g. by the
+ * `test` script, so the app's `~/` imports resolve outside the bundler.
+ */
+import {register} from 'node:module';
+
+register('./alias-loader.mjs', import.meta.url);